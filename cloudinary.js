@@ -6,4 +6,30 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET,
 });
 
+// Parse { publicId, resourceType } out of a Cloudinary delivery URL
+// (https://res.cloudinary.com/<cloud>/<image|video|raw>/upload/[transformations/][v123/]<public_id>.<ext>)
+export function parseCloudinaryUrl(url) {
+  const match = typeof url === 'string' && url.match(/res\.cloudinary\.com\/[^/]+\/(image|video|raw)\/upload\/(.+)$/);
+  if (!match) return null;
+  const segments = match[2].split('/');
+  const versionIdx = segments.findIndex((s) => /^v\d+$/.test(s));
+  const idSegments = versionIdx >= 0 ? segments.slice(versionIdx + 1) : segments;
+  const last = idSegments.pop() || '';
+  const publicId = [...idSegments, match[1] === 'raw' ? last : last.replace(/\.[^.]+$/, '')].join('/');
+  return publicId ? { publicId, resourceType: match[1] } : null;
+}
+
+// Delete an uploaded asset by public id or delivery URL. Never throws; failures are only logged.
+export async function destroyMedia({ publicId, url, resourceType } = {}) {
+  const parsed = publicId ? { publicId, resourceType: resourceType || 'image' } : parseCloudinaryUrl(url);
+  if (!parsed) return false;
+  try {
+    await cloudinary.uploader.destroy(parsed.publicId, { resource_type: parsed.resourceType, invalidate: true });
+    return true;
+  } catch (err) {
+    console.error('Cloudinary delete failed:', parsed.publicId, err?.message);
+    return false;
+  }
+}
+
 export default cloudinary;
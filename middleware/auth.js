@@ -1,7 +1,10 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import { isSessionActive, getSessionTwoFactorVerifiedAt } from '../services/session.js';
+import { hasRole } from '../services/roles.js';
+import { isAccessToken, resolveAccessToken } from '../services/accessTokens.js';
 
-export async function authenticateToken(req, res, next) {
+async function authenticate(req, res, next, scope) {
   const authHeader = req.headers.authorization;
   const token = authHeader && authHeader.split(' ')[1]; // Bearer TOKEN
 
@@ -9,15 +12,106 @@ export async function authenticateToken(req, res, next) {
     return res.status(401).json({ error: 'Authentication required' });
   }
 
+  // Personal access tokens only work on routes that accept their scope
+  if (isAccessToken(token)) {
+    if (!scope) {
+      return res.status(403).json({ error: 'Personal access tokens cannot be used for this endpoint' });
+    }
+    try {
+      const accessToken = await resolveAccessToken(token, req);
+      if (!accessToken) {
+        return res.status(401).json({ error: 'Invalid or expired access token' });
+      }
+      if (!accessToken.scopes.includes(scope)) {
+        return res.status(403).json({ error: `This access token is missing the ${scope} scope` });
+      }
+      const user = await User.findById(accessToken.userId).select('-password');
+      if (!user) {
+        return res.status(401).json({ error: 'User not found' });
+      }
+      req.user = user;
+      req.sessionId = null;
+      req.accessToken = { id: accessToken._id.toString(), scopes: accessToken.scopes };
+      return next();
+    } catch (err) {
+      return res.status(500).json({ error: err.message });
+    }
+  }
+
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    // Access tokens are tied to a session so logout / revocation takes effect immediately
+    if (!(await isSessionActive(decoded.sid))) {
+      return res.status(401).json({ error: 'Session expired or revoked' });
+    }
     const user = await User.findById(decoded.userId).select('-password');
     if (!user) {
       return res.status(401).json({ error: 'User not found' });
     }
     req.user = user;
+    req.sessionId = decoded.sid;
     next();
   } catch (err) {
     return res.status(403).json({ error: 'Invalid or expired token' });
   }
 }
+
+export function authenticateToken(req, res, next) {
+  return authenticate(req, res, next, null);
+}
+
+// Like authenticateToken, but also accepts personal access tokens that have `scope`
+export function authenticateWithScope(scope) {
+  return (req, res, next) => authenticate(req, res, next, scope);
+}
+
+// For public routes that personalise their response: sets req.user when a valid session
+// token is sent and otherwise carries on anonymously (never rejects the request)
+export async function optionalAuth(req, res, next) {
+  const token = req.headers.authorization?.split(' ')[1];
+  if (!token || isAccessToken(token)) return next();
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    if (await isSessionActive(decoded.sid)) {
+      const user = await User.findById(decoded.userId).select('-password');
+      if (user) {
+        req.user = user;
+        req.sessionId = decoded.sid;
+      }
+    }
+  } catch {
+    // Expired or invalid token - treat as anonymous
+  }
+  next();
+}
+
+const STEP_UP_WINDOW_MS = (Number(process.env.TWO_FACTOR_STEP_UP_MINUTES) || 10) * 60 * 1000;
+
+// For sensitive actions (e.g. releasing escrow money): users with 2FA enabled must have
+// passed a 2FA check on this session recently (POST /api/auth/2fa/verify). Use after authenticateToken.
+export async function requireRecentTwoFactor(req, res, next) {
+  try {
+    if (!req.user?.twoFactor?.enabled) return next();
+    const verifiedAt = await getSessionTwoFactorVerifiedAt(req.sessionId);
+    if (verifiedAt && Date.now() - new Date(verifiedAt).getTime() < STEP_UP_WINDOW_MS) {
+      return next();
+    }
+    return res.status(403).json({
+      error: 'Two-factor verification required for this action',
+      twoFactorRequired: true,
+    });
+  } catch (err) {
+    return res.status(500).json({ error: err.message });
+  }
+}
+
+// Restrict a route to users with at least the given role ('moderator' or 'admin').
+// Use after authenticateToken.
+export function requireRole(role) {
+  return (req, res, next) => {
+    if (!hasRole(req.user, role)) {
+      return res.status(403).json({ error: 'You do not have permission to do this' });
+    }
+    next();
+  };
+}
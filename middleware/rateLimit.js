@@ -0,0 +1,42 @@
+import { consume, resolveLimit, rateLimitDisabled } from '../services/rateLimit.js';
+import { getClientIp } from '../services/session.js';
+
+// Key extractors. Returning null skips the limiter for that request.
+export const byIp = (req) => getClientIp(req) || null;
+export const byUser = (req) => (req.user?._id ? req.user._id.toString() : null);
+export const byBodyField = (...fields) => (req) => {
+  for (const field of fields) {
+    const value = req.body?.[field];
+    if (typeof value === 'string' && value.trim()) {
+      return value.trim().toLowerCase().replace(/[\s()-]/g, '');
+    }
+  }
+  return null;
+};
+
+/**
+ * Rate limiting middleware. `name` namespaces the counters and selects the
+ * RATE_LIMIT_<NAME> env override; exceeding the limit returns 429 with Retry-After.
+ */
+export function rateLimit({ name, max, windowMs, key = byIp, message = 'Too many requests. Please try again later.' }) {
+  const limit = resolveLimit(name, { max, windowMs });
+  return async (req, res, next) => {
+    if (rateLimitDisabled) return next();
+    const id = key(req);
+    if (!id) return next();
+    try {
+      const result = await consume(`${name}:${id}`, limit);
+      res.set('RateLimit-Limit', String(limit.max));
+      res.set('RateLimit-Remaining', String(result.remaining));
+      if (!result.allowed) {
+        res.set('Retry-After', String(result.retryAfter));
+        return res.status(429).json({ error: message, retryAfter: result.retryAfter });
+      }
+      next();
+    } catch (err) {
+      // Fail open: an unavailable counter store shouldn't take the API down
+      console.error('Rate limit error:', err.message);
+      next();
+    }
+  };
+}
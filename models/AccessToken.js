@@ -0,0 +1,22 @@
+import mongoose from 'mongoose';
+
+// Personal access tokens for scripts / CI. Only the SHA-256 hash of a token is stored;
+// `prefix` is the first characters of the token, shown so users can tell tokens apart.
+const accessTokenSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    name: { type: String, required: true, trim: true, maxlength: 100 },
+    tokenHash: { type: String, required: true },
+    prefix: { type: String, required: true },
+    scopes: { type: [String], default: [] },
+    expiresAt: { type: Date, default: null }, // null = never expires
+    lastUsedAt: { type: Date, default: null },
+    lastUsedIp: { type: String, default: '' },
+  },
+  { timestamps: true, collection: 'personal_access_tokens' }
+);
+
+accessTokenSchema.index({ tokenHash: 1 }, { unique: true });
+accessTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('AccessToken', accessTokenSchema);
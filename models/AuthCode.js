@@ -0,0 +1,19 @@
+import mongoose from 'mongoose';
+
+// Short-lived, single-use codes that can be exchanged for a session
+// (e.g. after the Google OAuth redirect). Only the SHA-256 hash of a code is stored.
+const authCodeSchema = new mongoose.Schema(
+  {
+    codeHash: { type: String, required: true },
+    purpose: { type: String, required: true }, // 'google_login', 'magic_link', ...
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null for magic-link signups
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true, collection: 'auth_codes' }
+);
+
+authCodeSchema.index({ codeHash: 1 }, { unique: true });
+authCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('AuthCode', authCodeSchema);
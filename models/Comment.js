@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// Resolved @mentions (see services/mentions.js); start / end are offsets into text
+const mentionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  username: String,
+  start: Number,
+  end: Number,
+}, { _id: false });
+
+// Project comments. One level of threading: a reply's parentId is always a top-level comment.
+const commentSchema = new mongoose.Schema(
+  {
+    projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment', default: null },
+    text: { type: String, required: true, trim: true },
+    mentions: { type: [mentionSchema], default: [] },
+    editedAt: { type: Date, default: null },
+    likes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    likeCount: { type: Number, default: 0 },
+    replyCount: { type: Number, default: 0 }, // top-level comments only
+  },
+  { timestamps: true, collection: 'project_comments' }
+);
+
+// Top-level comments of a project, newest first; replies of a comment, oldest first
+commentSchema.index({ projectId: 1, parentId: 1, createdAt: -1, _id: -1 });
+commentSchema.index({ parentId: 1, createdAt: 1, _id: 1 });
+commentSchema.index({ userId: 1 });
+
+export default mongoose.model('Comment', commentSchema);
@@ -9,6 +9,8 @@ const deviceTokenSchema = new mongoose.Schema(
       enum: ['android', 'ios', 'web', 'windows', 'mac'],
       default: 'web',
     },
+    // Login session the token was registered from; revoking the session unregisters the token
+    sessionId: { type: mongoose.Schema.Types.ObjectId, ref: 'Session', default: null },
   },
   { timestamps: true, collection: 'device_tokens' }
 );
@@ -16,5 +18,6 @@ const deviceTokenSchema = new mongoose.Schema(
 // One token per device; same token can be re-registered (upsert by userId + token)
 deviceTokenSchema.index({ userId: 1, token: 1 }, { unique: true });
 deviceTokenSchema.index({ userId: 1 });
+deviceTokenSchema.index({ sessionId: 1 });
 
 export default mongoose.model('DeviceToken', deviceTokenSchema);
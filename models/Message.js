@@ -1,10 +1,19 @@
 import mongoose from 'mongoose';
 
+// Resolved @mentions (see services/mentions.js); start / end are offsets into text
+const mentionSchema = new mongoose.Schema({
+  userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  username: String,
+  start: Number,
+  end: Number,
+}, { _id: false });
+
 const messageSchema = new mongoose.Schema(
   {
     senderId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     receiverId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
     text: { type: String, required: true },
+    mentions: { type: [mentionSchema], default: [] },
     read: { type: Boolean, default: false },
   },
   { timestamps: true, collection: 'user_message' }
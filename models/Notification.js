@@ -16,16 +16,34 @@ const notificationSchema = new mongoose.Schema(
         'payment_released',
         'project_cancelled',
         'new_message',
+        // Social (services/notifications.js)
+        'mention',
+        'project_liked',
+        'project_commented',
+        'comment_replied',
+        'comment_liked',
+        'follow_request',
+        'follow_accepted',
+        'connection',
       ],
       required: true,
     },
     title: { type: String, required: true },
     message: { type: String, default: '' },
     escrowProjectId: { type: mongoose.Schema.Types.ObjectId, ref: 'EscrowProject' },
+    // Social notifications: who did it, what it is about, and where the app should open
+    actorId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project' },
+    commentId: { type: mongoose.Schema.Types.ObjectId, ref: 'Comment' },
+    messageId: { type: mongoose.Schema.Types.ObjectId, ref: 'Message' },
+    link: { type: String, default: null }, // frontend path, e.g. /projects/<id>?comment=<commentId>
+    dedupeKey: { type: String, default: null }, // type:actor:target, to suppress repeats
     read: { type: Boolean, default: false },
     readAt: { type: Date, default: null },
   },
   { timestamps: true, collection: 'notifications' }
 );
 
+notificationSchema.index({ userId: 1, dedupeKey: 1, createdAt: -1 });
+
 export default mongoose.model('Notification', notificationSchema);
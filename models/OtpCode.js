@@ -0,0 +1,27 @@
+import mongoose from 'mongoose';
+
+// One-time verification codes, one active code per identifier + purpose.
+// Codes are stored as HMACs; the document doubles as the attempt / resend / lockout counter.
+const otpCodeSchema = new mongoose.Schema(
+  {
+    identifier: { type: String, required: true }, // normalized email / phone, or a user id
+    purpose: { type: String, required: true }, // 'signup', 'password_reset', ...
+    channel: { type: String, enum: ['email', 'phone'], required: true },
+    codeHash: { type: String, default: '' },
+    attempts: { type: Number, default: 0 },
+    sendCount: { type: Number, default: 0 },
+    sendWindowStartedAt: { type: Date, default: Date.now },
+    lastSentAt: { type: Date, default: null },
+    codeExpiresAt: { type: Date, default: null },
+    lockedUntil: { type: Date, default: null },
+    metadata: { type: mongoose.Schema.Types.Mixed, default: {} },
+    // Document lifetime (covers code expiry, lockout and the resend window)
+    expiresAt: { type: Date, required: true },
+  },
+  { timestamps: true, collection: 'otp_codes' }
+);
+
+otpCodeSchema.index({ identifier: 1, purpose: 1 }, { unique: true });
+otpCodeSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('OtpCode', otpCodeSchema);
@@ -2,35 +2,73 @@ import mongoose from 'mongoose';
 
 const mediaSchema = new mongoose.Schema({
   url: String,
-  filename: String,
+  filename: String, // Cloudinary public id
+  type: { type: String, enum: ['image', 'video'] },
+  caption: { type: String, default: '' },
+  width: Number,
+  height: Number,
+  duration: Number, // seconds, videos only
+  bytes: Number,
+  cover: { type: Boolean, default: false }, // the item shown in listings (see services/projectMedia.js)
 }, { _id: false });
 
-const commentSchema = new mongoose.Schema(
-  {
-    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
-    userName: String,
-    text: { type: String, required: true },
-    createdAt: { type: Date, default: Date.now },
-  },
-  { _id: true }
-);
+// GeoJSON point ([longitude, latitude])
+const pointSchema = new mongoose.Schema({
+  type: { type: String, enum: ['Point'], default: 'Point' },
+  coordinates: { type: [Number], default: undefined },
+}, { _id: false });
 
 const projectSchema = new mongoose.Schema(
   {
     title: { type: String, required: true, trim: true },
     description: { type: String, required: true, trim: true },
     media: { type: [mediaSchema], default: [] },
-    order: { type: Number, default: 0 },
+    order: { type: Number, default: 0 }, // position among the owner's projects (see services/projectOrder.js)
+    // Missing on projects stored with the old global order, until normalizeProjectOrders renumbers them
+    orderScope: { type: String, enum: ['owner'], default: 'owner' },
+    pinned: { type: Boolean, default: false },
     userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
     liveDemoUrl: { type: String, default: '' },
     codeUrl: { type: String, default: '' },
     likes: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
-    comments: [commentSchema],
     savedBy: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
+    tags: { type: [String], default: [] }, // normalized, see services/projectTags.js
+    category: {
+      type: String,
+      enum: ['web', 'mobile', 'desktop', 'game', 'ai_ml', 'data', 'devops', 'library', 'design', 'hardware', 'other'],
+      default: null,
+    },
+    // Denormalized for the feed, which sorts on them and doesn't load the likes array
+    likeCount: { type: Number, default: 0 },
+    commentCount: { type: Number, default: 0 }, // comments live in models/Comment.js
+    // Copy of the creator's UserCard location for sort=nearby (null when they have none)
+    creatorLocation: { type: pointSchema, default: null },
+    // Copy of the creator's name / username for full-text search
+    authorName: { type: String, default: '' },
+    authorUsername: { type: String, default: '' },
+    githubRepoId: { type: Number, default: null }, // set for cards imported from GitHub
   },
   { timestamps: true, collection: 'project_card' }
 );
 
+projectSchema.index({ userId: 1, githubRepoId: 1 });
+projectSchema.index({ userId: 1, pinned: -1, order: 1 });
+// Feed orderings (see services/projectFeed.js)
+projectSchema.index({ order: 1, createdAt: -1, _id: -1 });
+projectSchema.index({ likeCount: -1, createdAt: -1, _id: -1 });
+projectSchema.index({ creatorLocation: '2dsphere' });
+projectSchema.index({ tags: 1, order: 1, createdAt: -1, _id: -1 });
+projectSchema.index({ category: 1, order: 1, createdAt: -1, _id: -1 });
+// GET /api/projects/search
+projectSchema.index(
+  { title: 'text', tags: 'text', authorName: 'text', authorUsername: 'text', description: 'text' },
+  {
+    name: 'project_search',
+    weights: { title: 10, tags: 6, authorName: 4, authorUsername: 4, description: 2 },
+    default_language: 'english',
+  }
+);
+
 projectSchema.set('toJSON', {
   virtuals: true,
   transform: (doc, ret) => {
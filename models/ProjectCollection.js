@@ -0,0 +1,24 @@
+import mongoose from 'mongoose';
+
+const collectionItemSchema = new mongoose.Schema({
+  projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  addedAt: { type: Date, default: Date.now },
+}, { _id: false });
+
+// Named lists of saved projects ("Inspiration", "Hire later"). Items are kept in the owner's order.
+// Public collections are listed on the owner's profile; private ones are only visible to the owner.
+const projectCollectionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    name: { type: String, required: true, trim: true },
+    description: { type: String, default: '', trim: true },
+    isPublic: { type: Boolean, default: false },
+    items: { type: [collectionItemSchema], default: [] },
+  },
+  { timestamps: true, collection: 'project_collections' }
+);
+
+projectCollectionSchema.index({ userId: 1, isPublic: 1, createdAt: -1 });
+projectCollectionSchema.index({ 'items.projectId': 1 });
+
+export default mongoose.model('ProjectCollection', projectCollectionSchema);
@@ -0,0 +1,23 @@
+import mongoose from 'mongoose';
+
+// Per-project daily rollup behind GET /api/projects/:id/analytics. likes / saves are the net
+// change that day (an unlike counts against the day it happens).
+const projectDailyStatsSchema = new mongoose.Schema(
+  {
+    projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true }, // project owner
+    day: { type: String, required: true }, // UTC, YYYY-MM-DD
+    views: { type: Number, default: 0 },
+    uniqueViewers: { type: Number, default: 0 },
+    liveDemoClicks: { type: Number, default: 0 },
+    codeClicks: { type: Number, default: 0 },
+    likes: { type: Number, default: 0 },
+    saves: { type: Number, default: 0 },
+  },
+  { timestamps: false, collection: 'project_daily_stats' }
+);
+
+projectDailyStatsSchema.index({ projectId: 1, day: 1 }, { unique: true });
+projectDailyStatsSchema.index({ userId: 1, day: 1 });
+
+export default mongoose.model('ProjectDailyStats', projectDailyStatsSchema);
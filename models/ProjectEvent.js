@@ -0,0 +1,25 @@
+import mongoose from 'mongoose';
+
+// Raw view / outbound click events, kept for ANALYTICS_EVENT_RETENTION_DAYS; the daily totals
+// live in ProjectDailyStats (see services/projectAnalytics.js)
+export const ANALYTICS_EVENT_RETENTION_DAYS = Number(process.env.ANALYTICS_EVENT_RETENTION_DAYS || 90);
+
+const projectEventSchema = new mongoose.Schema(
+  {
+    projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+    type: { type: String, enum: ['view', 'click'], required: true },
+    target: { type: String, enum: ['live_demo', 'code', null], default: null }, // clicks only
+    visitorKey: { type: String, required: true }, // HMAC of the user id, or of IP + user agent when signed out
+    day: { type: String, required: true }, // UTC, YYYY-MM-DD
+    bucket: { type: Number, required: true }, // de-duplication window number
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, collection: 'project_events' }
+);
+
+// One event per visitor, project, action and window: a duplicate insert is how repeats are detected
+projectEventSchema.index({ projectId: 1, type: 1, target: 1, visitorKey: 1, bucket: 1 }, { unique: true });
+projectEventSchema.index({ projectId: 1, type: 1, day: 1, visitorKey: 1 });
+projectEventSchema.index({ visitorKey: 1 });
+projectEventSchema.index({ createdAt: 1 }, { expireAfterSeconds: ANALYTICS_EVENT_RETENTION_DAYS * 24 * 60 * 60 });
+
+export default mongoose.model('ProjectEvent', projectEventSchema);
@@ -0,0 +1,16 @@
+import mongoose from 'mongoose';
+
+// Fixed-window request counters shared by all instances (see services/rateLimit.js)
+const rateLimitSchema = new mongoose.Schema(
+  {
+    key: { type: String, required: true }, // e.g. "login:ip:1.2.3.4"
+    count: { type: Number, default: 0 },
+    expiresAt: { type: Date, required: true }, // end of the current window
+  },
+  { collection: 'rate_limits' }
+);
+
+rateLimitSchema.index({ key: 1 }, { unique: true });
+rateLimitSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('RateLimit', rateLimitSchema);
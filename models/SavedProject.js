@@ -0,0 +1,17 @@
+import mongoose from 'mongoose';
+
+// One per saved project, so a user's saves can be listed newest first.
+// Project.savedBy mirrors these for the savedByMe flags (see services/savedProjects.js).
+const savedProjectSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    projectId: { type: mongoose.Schema.Types.ObjectId, ref: 'Project', required: true },
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, collection: 'project_saves' }
+);
+
+savedProjectSchema.index({ userId: 1, projectId: 1 }, { unique: true });
+savedProjectSchema.index({ userId: 1, createdAt: -1, _id: -1 });
+savedProjectSchema.index({ projectId: 1 });
+
+export default mongoose.model('SavedProject', savedProjectSchema);
@@ -0,0 +1,32 @@
+import mongoose from 'mongoose';
+
+// One document per login (refresh token family). The refresh token itself is never stored,
+// only its SHA-256 hash; rotated hashes are kept so reuse of an old token can be detected.
+const sessionSchema = new mongoose.Schema(
+  {
+    userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    tokenHash: { type: String, required: true },
+    previousTokenHashes: { type: [String], default: [] },
+    userAgent: { type: String, default: '' },
+    ip: { type: String, default: '' },
+    platform: {
+      type: String,
+      enum: ['android', 'ios', 'web', 'windows', 'mac'],
+      default: 'web',
+    },
+    lastUsedAt: { type: Date, default: Date.now },
+    twoFactorVerifiedAt: { type: Date, default: null }, // last 2FA check on this session (step-up auth)
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: { type: String, default: '' },
+  },
+  { timestamps: true, collection: 'user_sessions' }
+);
+
+sessionSchema.index({ tokenHash: 1 }, { unique: true });
+sessionSchema.index({ previousTokenHashes: 1 });
+sessionSchema.index({ userId: 1, revokedAt: 1 });
+// Mongo removes sessions once the refresh token can no longer be used
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+export default mongoose.model('Session', sessionSchema);
@@ -13,24 +13,42 @@ const userSchema = new mongoose.Schema(
     emailVerified: { type: Boolean, default: false },
     phoneVerified: { type: Boolean, default: false },
     googleId: { type: String, default: null, sparse: true },
+    githubId: { type: String, default: null, sparse: true },
+    githubUsername: { type: String, default: null },
     followers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
     following: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
     connections: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }],
     lastSeenAt: { type: Date, default: null },
+    // 'moderator' and 'admin' unlock the /api/admin endpoints (see middleware/auth.js requireRole)
+    role: { type: String, enum: ['user', 'moderator', 'admin'], default: 'user', index: true },
+    failedLoginAttempts: { type: Number, default: 0, select: false },
+    loginLockedUntil: { type: Date, default: null, select: false },
     bankAccount: {
       accountHolder: { type: String, default: '' },
       accountNumber: { type: String, default: '' },
       ifscCode: { type: String, default: '' },
       upiId: { type: String, default: '' },
     },
+    // Opt-in TOTP two-factor auth; secrets and backup code hashes are never selected by default
+    twoFactor: {
+      enabled: { type: Boolean, default: false },
+      secret: { type: String, default: null, select: false }, // encrypted
+      pendingSecret: { type: String, default: null, select: false }, // encrypted, awaiting confirmation
+      backupCodes: { type: [String], default: [], select: false }, // SHA-256 hashes
+      lastUsedStep: { type: Number, default: -1, select: false },
+      enabledAt: { type: Date, default: null },
+    },
+    // Set by DELETE /api/users/me; the account is purged once deletionScheduledFor passes
+    deletionRequestedAt: { type: Date, default: null },
+    deletionScheduledFor: { type: Date, default: null, index: true },
   },
   { timestamps: true, collection: 'project_user' }
 );
 
-// Ensure at least email or phone is provided (skip for Google OAuth users)
+// Ensure at least email or phone is provided (skip for OAuth users)
 userSchema.pre('validate', function(next) {
-  // Skip validation for Google OAuth users (they have googleId)
-  if (this.googleId) {
+  // Skip validation for OAuth users (Google / GitHub may not share an email)
+  if (this.googleId || this.githubId) {
     return next();
   }
   if (!this.email && !this.phone) {
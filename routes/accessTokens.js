@@ -0,0 +1,59 @@
+import express from 'express';
+import { authenticateToken, requireRecentTwoFactor } from '../middleware/auth.js';
+import { rateLimit, byUser } from '../middleware/rateLimit.js';
+import {
+  ACCESS_TOKEN_SCOPES,
+  createAccessToken,
+  listAccessTokens,
+  revokeAccessToken,
+} from '../services/accessTokens.js';
+
+const router = express.Router();
+
+// Available scopes, for the token creation form
+router.get('/scopes', (req, res) => {
+  res.json(Object.entries(ACCESS_TOKEN_SCOPES).map(([scope, description]) => ({ scope, description })));
+});
+
+// List the current user's tokens (never includes the token itself)
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    res.json(await listAccessTokens(req.user._id));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a token - { name, scopes: ['projects:write', ...], expiresInDays? }. The token is shown once.
+router.post(
+  '/',
+  authenticateToken,
+  requireRecentTwoFactor,
+  rateLimit({ name: 'access_token_create_user', max: 10, windowMs: 60 * 60 * 1000, key: byUser }),
+  async (req, res) => {
+    try {
+      const { name, scopes, expiresInDays } = req.body;
+      const result = await createAccessToken(req.user._id, { name, scopes, expiresInDays });
+      if (!result.ok) return res.status(result.status).json({ error: result.error });
+      res.status(201).json({ token: result.token, ...result.accessToken });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Revoke a token
+router.delete('/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!/^[a-fA-F0-9]{24}$/.test(req.params.id)) {
+      return res.status(404).json({ error: 'Access token not found' });
+    }
+    const revoked = await revokeAccessToken(req.user._id, req.params.id);
+    if (!revoked) return res.status(404).json({ error: 'Access token not found' });
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -0,0 +1,134 @@
+import express from 'express';
+import { authenticateToken, requireRole, requireRecentTwoFactor } from '../middleware/auth.js';
+import User from '../models/User.js';
+import Feedback from '../models/Feedback.js';
+import { ROLES } from '../services/roles.js';
+
+const router = express.Router();
+
+// Everything here needs at least a moderator; admin-only routes add requireRole('admin')
+router.use(authenticateToken, requireRole('moderator'));
+
+function escapeRegex(str) {
+  return str.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+// List users, optionally filtered by role or a name / username / email search
+router.get('/users', async (req, res) => {
+  try {
+    const { role, q } = req.query;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+    const skip = Math.max(parseInt(req.query.skip) || 0, 0);
+
+    const filter = {};
+    if (role) {
+      if (!ROLES.includes(role)) return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+      filter.role = role;
+    }
+    if (q?.trim()) {
+      const pattern = new RegExp(escapeRegex(q.trim()), 'i');
+      filter.$or = [{ name: pattern }, { username: pattern }, { email: pattern }];
+    }
+
+    const [users, total] = await Promise.all([
+      User.find(filter)
+        .select('name username email phone profilePhoto role createdAt deletionScheduledFor')
+        .sort({ createdAt: -1 })
+        .skip(skip)
+        .limit(limit)
+        .lean(),
+      User.countDocuments(filter),
+    ]);
+    res.json({
+      users: users.map((u) => ({
+        id: u._id.toString(),
+        name: u.name,
+        username: u.username || '',
+        email: u.email,
+        phone: u.phone,
+        profilePhoto: u.profilePhoto,
+        role: u.role || 'user',
+        createdAt: u.createdAt,
+        deletionScheduledFor: u.deletionScheduledFor || null,
+      })),
+      total,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Change a user's role (admins only)
+router.put('/users/:id/role', requireRole('admin'), requireRecentTwoFactor, async (req, res) => {
+  try {
+    const { role } = req.body;
+    if (!ROLES.includes(role)) {
+      return res.status(400).json({ error: `role must be one of ${ROLES.join(', ')}` });
+    }
+    const user = await User.findById(req.params.id).select('name role');
+    if (!user) return res.status(404).json({ error: 'User not found' });
+
+    // Never leave the platform without an admin
+    if (user.role === 'admin' && role !== 'admin') {
+      const admins = await User.countDocuments({ role: 'admin' });
+      if (admins <= 1) return res.status(400).json({ error: 'Cannot remove the last admin' });
+    }
+
+    user.role = role;
+    await user.save();
+    console.log(`Role of user ${user._id} set to ${role} by ${req.user._id}`);
+    res.json({ id: user._id.toString(), name: user.name, role: user.role });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Feedback moderation queue (includes unapproved entries)
+router.get('/feedback', async (req, res) => {
+  try {
+    const filter = {};
+    if (req.query.approved === 'true') filter.isApproved = true;
+    if (req.query.approved === 'false') filter.isApproved = false;
+    const limit = Math.min(parseInt(req.query.limit) || 50, 100);
+
+    const feedbacks = await Feedback.find(filter)
+      .sort({ createdAt: -1 })
+      .limit(limit)
+      .populate('userId', 'name username profilePhoto')
+      .lean();
+    res.json(
+      feedbacks.map((f) => ({
+        id: f._id.toString(),
+        rating: f.rating,
+        comment: f.comment,
+        isApproved: f.isApproved,
+        createdAt: f.createdAt,
+        user: f.userId
+          ? { id: f.userId._id.toString(), name: f.userId.name, username: f.userId.username }
+          : null,
+      }))
+    );
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Approve or hide a feedback entry
+router.patch('/feedback/:id', async (req, res) => {
+  try {
+    if (typeof req.body.isApproved !== 'boolean') {
+      return res.status(400).json({ error: 'isApproved must be true or false' });
+    }
+    const feedback = await Feedback.findByIdAndUpdate(
+      req.params.id,
+      { $set: { isApproved: req.body.isApproved } },
+      { new: true }
+    );
+    if (!feedback) return res.status(404).json({ error: 'Feedback not found' });
+    res.json({ id: feedback._id.toString(), isApproved: feedback.isApproved });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+export default router;
@@ -1,150 +1,222 @@
+import crypto from 'crypto';
 import express from 'express';
-import jwt from 'jsonwebtoken';
 import passport from 'passport';
 import { Strategy as GoogleStrategy } from 'passport-google-oauth20';
+import { Strategy as GitHubStrategy } from 'passport-github2';
 import User from '../models/User.js';
-import { sendOtpEmail } from '../services/email.js';
-import { sendOtpSms, validatePhoneNumber } from '../services/sms.js';
+import AuthCode from '../models/AuthCode.js';
+import { sendMagicLinkEmail } from '../services/email.js';
+import { validatePhoneNumber } from '../services/sms.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { rateLimit, byBodyField, byUser } from '../middleware/rateLimit.js';
+import { loginLockRemaining, recordLoginFailure, clearLoginFailures } from '../services/rateLimit.js';
+import { signTwoFactorChallenge } from './twoFactor.js';
+import { revokeUserAccessTokens } from '../services/accessTokens.js';
+import { OAUTH_PROVIDERS, generateUniqueUsername, resolveOAuthAccount } from '../services/oauthAccounts.js';
+import { issueOtp, verifyOtp, discardOtp, deliverOtp, sendOtpError } from '../services/otp.js';
+import {
+  issueSession,
+  rotateRefreshToken,
+  revokeSessionByRefreshToken,
+  revokeSession,
+  revokeUserSessions,
+  listUserSessions,
+  createAuthCode,
+  findAuthCode,
+  consumeAuthCode,
+} from '../services/session.js';
 
 const router = express.Router();
 const FRONTEND_URL = process.env.FRONTEND_URL || 'http://localhost:3000';
+const OAUTH_CODE_TTL_MS = 60 * 1000;
 
-export function initPassport() {
-  if (!process.env.GOOGLE_CLIENT_ID || !process.env.GOOGLE_CLIENT_SECRET) {
-    console.warn('Google OAuth not configured (GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET). Sign in with Google disabled.');
-    return;
-  }
-  passport.use(
-    new GoogleStrategy(
-      {
-        clientID: process.env.GOOGLE_CLIENT_ID,
-        clientSecret: process.env.GOOGLE_CLIENT_SECRET,
-        callbackURL: `${process.env.BACKEND_URL || 'http://localhost:4000'}/api/auth/google/callback`,
-        scope: ['profile', 'email'],
-      },
-      async (accessToken, refreshToken, profile, done) => {
-        try {
-          const email = profile.emails?.[0]?.value?.toLowerCase().trim();
-          const name = profile.displayName?.trim() || profile.name?.givenName || 'User';
-          const photo = profile.photos?.[0]?.value;
-          let user = await User.findOne({ googleId: profile.id });
-          if (user) {
-            return done(null, user);
-          }
-          user = await User.findOne({ email });
-          if (user) {
-            user.googleId = profile.id;
-            if (photo) user.profilePhoto = photo;
-            await user.save();
-            return done(null, user);
-          }
-          const baseUsername = (email ? email.split('@')[0] : name.replace(/\s+/g, '_')).toLowerCase().replace(/[^a-z0-9_.]/g, '');
-          let username = baseUsername.slice(0, 20) || 'user';
-          let exists = await User.findOne({ username });
-          let suffix = 0;
-          while (exists) {
-            suffix += 1;
-            username = `${baseUsername.slice(0, 15)}${suffix}`;
-            exists = await User.findOne({ username });
-          }
-          // For Google signup, email is required, but we'll handle it gracefully
-          const googleEmail = email || `${profile.id}@google.placeholder`;
-          user = await User.create({
-            name,
-            username,
-            email: googleEmail,
-            googleId: profile.id,
-            emailVerified: !!email,
-            profilePhoto: photo || null,
-          });
-          return done(null, user);
-        } catch (err) {
-          return done(err, null);
+const BACKEND_URL = process.env.BACKEND_URL || 'http://localhost:4000';
+
+const oauthConfigured = {
+  google: () => !!(process.env.GOOGLE_CLIENT_ID && process.env.GOOGLE_CLIENT_SECRET),
+  github: () => !!(process.env.GITHUB_CLIENT_ID && process.env.GITHUB_CLIENT_SECRET),
+};
+
+// Shared passport verify callback. `readProfile` maps the provider profile to
+// { providerId, email (verified only), name, photo, placeholderEmail?, extra? }.
+function oauthVerify(provider, readProfile) {
+  const { field, label } = OAUTH_PROVIDERS[provider];
+  return async (req, accessToken, refreshToken, profile, done) => {
+    try {
+      const details = readProfile(profile);
+
+      // Linking from account settings (see /:provider/link/start); completed by /:provider/link/complete
+      if (req.oauthLinkUserId) {
+        const owner = await User.findOne({ [field]: details.providerId }).select('_id');
+        if (owner && owner._id.toString() !== req.oauthLinkUserId) {
+          return done(new Error(`This ${label} account is already linked to another user`), null);
         }
+        return done(null, false, { linkIntent: true, providerId: details.providerId, extra: details.extra });
       }
-    )
-  );
+
+      const result = await resolveOAuthAccount(provider, details);
+      if (result.linkRequired) {
+        return done(null, false, {
+          linkRequired: true,
+          userId: result.userId,
+          hasPassword: result.hasPassword,
+          providerId: details.providerId,
+          photo: details.photo,
+          extra: details.extra,
+        });
+      }
+      return done(null, result.user);
+    } catch (err) {
+      return done(err, null);
+    }
+  };
 }
 
-// In-memory OTP store: { email/phone: { otp, expiresAt, type: 'email'|'phone' } }
-const otpStore = new Map();
-const OTP_EXPIRY_MS = 10 * 60 * 1000;
+export function initPassport() {
+  if (oauthConfigured.google()) {
+    passport.use(
+      new GoogleStrategy(
+        {
+          clientID: process.env.GOOGLE_CLIENT_ID,
+          clientSecret: process.env.GOOGLE_CLIENT_SECRET,
+          callbackURL: `${BACKEND_URL}/api/auth/google/callback`,
+          scope: ['profile', 'email'],
+          passReqToCallback: true,
+        },
+        oauthVerify('google', (profile) => ({
+          providerId: profile.id,
+          email: profile.emails?.[0]?.value?.toLowerCase().trim(),
+          name: profile.displayName?.trim() || profile.name?.givenName || 'User',
+          photo: profile.photos?.[0]?.value,
+          // For Google signup, email is required, but we'll handle it gracefully
+          placeholderEmail: `${profile.id}@google.placeholder`,
+        }))
+      )
+    );
+  } else {
+    console.warn('Google OAuth not configured (GOOGLE_CLIENT_ID, GOOGLE_CLIENT_SECRET). Sign in with Google disabled.');
+  }
 
-function generateOtp() {
-  return String(Math.floor(100000 + Math.random() * 900000));
+  if (oauthConfigured.github()) {
+    passport.use(
+      new GitHubStrategy(
+        {
+          clientID: process.env.GITHUB_CLIENT_ID,
+          clientSecret: process.env.GITHUB_CLIENT_SECRET,
+          callbackURL: `${BACKEND_URL}/api/auth/github/callback`,
+          scope: ['read:user', 'user:email'],
+          allRawEmails: true,
+          passReqToCallback: true,
+        },
+        oauthVerify('github', (profile) => {
+          // Only a verified primary address may match or create an account
+          const email = profile.emails?.find((e) => e.primary && e.verified)?.value;
+          return {
+            providerId: String(profile.id),
+            email: email?.toLowerCase().trim(),
+            name: profile.displayName?.trim() || profile.username || 'User',
+            photo: profile.photos?.[0]?.value,
+            extra: { githubUsername: profile.username },
+          };
+        })
+      )
+    );
+  } else {
+    console.warn('GitHub OAuth not configured (GITHUB_CLIENT_ID, GITHUB_CLIENT_SECRET). Sign in with GitHub disabled.');
+  }
 }
 
-// Send OTP for signup verification (email or phone)
-router.post('/send-otp', async (req, res) => {
-  try {
-    const { email, phone } = req.body;
-    
-    if (!email && !phone) {
-      return res.status(400).json({ error: 'Email or phone number is required' });
-    }
+// Resolve a login identifier (email, phone or username) to a user
+async function findUserByIdentifier(identifier, select = '') {
+  const input = String(identifier || '').trim();
+  if (!input) return null;
+  const isEmail = input.includes('@');
+  const isPhone = /^\+?\d{10,15}$/.test(input.replace(/\D/g, ''));
 
-    if (email && phone) {
-      return res.status(400).json({ error: 'Please provide either email or phone, not both' });
+  let user;
+  if (isEmail) {
+    user = await User.findOne({ email: input.toLowerCase() }).select(select);
+  } else if (isPhone) {
+    const phoneValidation = validatePhoneNumber(input);
+    if (phoneValidation.valid) {
+      user = await User.findOne({ phone: phoneValidation.cleaned }).select(select);
     }
+  }
 
-    let normalized, type, result;
+  if (!user) {
+    user = await User.findOne({ username: input.toLowerCase() }).select(select);
+  }
+  return user;
+}
 
-    if (email) {
-      normalized = email.toLowerCase().trim();
-      if (!normalized || !normalized.includes('@')) {
-        return res.status(400).json({ error: 'Valid email is required' });
-      }
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
 
-      // Check if email already exists
-      const existingUser = await User.findOne({ email: normalized });
-      if (existingUser) {
-        return res.status(400).json({ error: 'Email already registered' });
+// Send OTP for signup verification (email or phone)
+router.post(
+  '/send-otp',
+  rateLimit({ name: 'otp_ip', max: 10, windowMs: HOUR }),
+  rateLimit({ name: 'otp_identifier', max: 5, windowMs: HOUR, key: byBodyField('email', 'phone') }),
+  async (req, res) => {
+    try {
+      const { email, phone } = req.body;
+      
+      if (!email && !phone) {
+        return res.status(400).json({ error: 'Email or phone number is required' });
       }
 
-      const otp = generateOtp();
-      otpStore.set(normalized, { otp, expiresAt: Date.now() + OTP_EXPIRY_MS, type: 'email' });
-
-      result = await sendOtpEmail({ toEmail: normalized, otp });
-      if (!result.sent) {
-        otpStore.delete(normalized);
-        return res.status(503).json({ error: result.error || 'Failed to send OTP email' });
+      if (email && phone) {
+        return res.status(400).json({ error: 'Please provide either email or phone, not both' });
       }
 
-      return res.json({ success: true, message: 'OTP sent to your email', type: 'email' });
-    }
+      let normalized, type;
 
-    if (phone) {
-      const phoneValidation = validatePhoneNumber(phone);
-      if (!phoneValidation.valid) {
-        return res.status(400).json({ error: phoneValidation.error });
-      }
+      if (email) {
+        normalized = email.toLowerCase().trim();
+        if (!normalized || !normalized.includes('@')) {
+          return res.status(400).json({ error: 'Valid email is required' });
+        }
 
-      normalized = phoneValidation.cleaned;
+        // Check if email already exists
+        const existingUser = await User.findOne({ email: normalized });
+        if (existingUser) {
+          return res.status(400).json({ error: 'Email already registered' });
+        }
+        type = 'email';
+      } else {
+        const phoneValidation = validatePhoneNumber(phone);
+        if (!phoneValidation.valid) {
+          return res.status(400).json({ error: phoneValidation.error });
+        }
 
-      // Check if phone already exists
-      const existingUser = await User.findOne({ phone: normalized });
-      if (existingUser) {
-        return res.status(400).json({ error: 'Phone number already registered' });
+        normalized = phoneValidation.cleaned;
+
+        // Check if phone already exists
+        const existingUser = await User.findOne({ phone: normalized });
+        if (existingUser) {
+          return res.status(400).json({ error: 'Phone number already registered' });
+        }
+        type = 'phone';
       }
 
-      const otp = generateOtp();
-      otpStore.set(normalized, { otp, expiresAt: Date.now() + OTP_EXPIRY_MS, type: 'phone' });
+      const issued = await issueOtp({ identifier: normalized, purpose: 'signup', channel: type });
+      if (!issued.ok) return sendOtpError(res, issued);
 
-      result = await sendOtpSms({ toPhone: normalized, otp });
+      const result = await deliverOtp({ channel: type, to: normalized, otp: issued.otp });
       if (!result.sent) {
-        otpStore.delete(normalized);
-        return res.status(503).json({ error: result.error || 'Failed to send OTP SMS' });
+        await discardOtp({ identifier: normalized, purpose: 'signup' });
+        return res.status(503).json({ error: result.error || `Failed to send OTP ${type === 'email' ? 'email' : 'SMS'}` });
       }
 
-      return res.json({ success: true, message: 'OTP sent to your phone', type: 'phone' });
+      return res.json({ success: true, message: `OTP sent to your ${type}`, type });
+    } catch (err) {
+      console.error('Send OTP error:', err);
+      res.status(500).json({ error: err.message || 'Failed to send OTP' });
     }
-  } catch (err) {
-    console.error('Send OTP error:', err);
-    res.status(500).json({ error: err.message || 'Failed to send OTP' });
   }
-});
+);
 
-router.post('/signup', async (req, res) => {
+router.post('/signup', rateLimit({ name: 'signup_ip', max: 20, windowMs: HOUR }), async (req, res) => {
   try {
     const { name, username, email, phone, password, otp } = req.body;
 
@@ -174,25 +246,13 @@ router.post('/signup', async (req, res) => {
       return res.status(400).json({ error: 'Valid 6-digit OTP is required' });
     }
 
-    let normalized, stored, userData;
+    let normalized, userData;
 
     if (email) {
       normalized = email.toLowerCase().trim();
       if (!normalized.includes('@')) {
         return res.status(400).json({ error: 'Valid email is required' });
       }
-      stored = otpStore.get(normalized);
-      if (!stored || stored.type !== 'email') {
-        return res.status(400).json({ error: 'OTP expired or not sent. Please request a new OTP.' });
-      }
-      if (Date.now() > stored.expiresAt) {
-        otpStore.delete(normalized);
-        return res.status(400).json({ error: 'OTP expired. Please request a new OTP.' });
-      }
-      if (stored.otp !== String(otp).trim()) {
-        return res.status(400).json({ error: 'Invalid OTP' });
-      }
-      otpStore.delete(normalized);
 
       const existingEmail = await User.findOne({ email: normalized });
       if (existingEmail) {
@@ -213,19 +273,6 @@ router.post('/signup', async (req, res) => {
       }
       normalized = phoneValidation.cleaned;
 
-      stored = otpStore.get(normalized);
-      if (!stored || stored.type !== 'phone') {
-        return res.status(400).json({ error: 'OTP expired or not sent. Please request a new OTP.' });
-      }
-      if (Date.now() > stored.expiresAt) {
-        otpStore.delete(normalized);
-        return res.status(400).json({ error: 'OTP expired. Please request a new OTP.' });
-      }
-      if (stored.otp !== String(otp).trim()) {
-        return res.status(400).json({ error: 'Invalid OTP' });
-      }
-      otpStore.delete(normalized);
-
       const existingPhone = await User.findOne({ phone: normalized });
       if (existingPhone) {
         return res.status(400).json({ error: 'Phone number already registered' });
@@ -245,16 +292,20 @@ router.post('/signup', async (req, res) => {
       return res.status(400).json({ error: 'Username already taken' });
     }
 
+    // Verify last so a code isn't consumed by a signup that fails validation
+    const verified = await verifyOtp({ identifier: normalized, purpose: 'signup', code: otp });
+    if (!verified.ok) return sendOtpError(res, verified);
+    if (verified.channel !== (email ? 'email' : 'phone')) {
+      return res.status(400).json({ error: 'OTP expired or not sent. Please request a new OTP.' });
+    }
+
     const user = await User.create(userData);
 
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+    const { token, refreshToken } = await issueSession(user, req);
 
     res.status(201).json({
       token,
+      refreshToken,
       user: {
         id: user._id.toString(),
         name: user.name,
@@ -270,101 +321,792 @@ router.post('/signup', async (req, res) => {
   }
 });
 
-router.post('/login', async (req, res) => {
-  try {
-    const { emailOrUsernameOrPhone, password } = req.body;
+router.post(
+  '/login',
+  rateLimit({ name: 'login_ip', max: 30, windowMs: 15 * MINUTE }),
+  rateLimit({ name: 'login_account', max: 10, windowMs: 15 * MINUTE, key: byBodyField('emailOrUsernameOrPhone') }),
+  async (req, res) => {
+    try {
+      const { emailOrUsernameOrPhone, password } = req.body;
+
+      if (!emailOrUsernameOrPhone || !password) {
+        return res.status(400).json({ error: 'Email/phone/username and password are required' });
+      }
+
+      const user = await findUserByIdentifier(emailOrUsernameOrPhone, '+failedLoginAttempts +loginLockedUntil');
+      if (!user) {
+        return res.status(401).json({ error: 'Invalid email/phone/username or password' });
+      }
+
+      const lockedFor = loginLockRemaining(user);
+      if (lockedFor) {
+        res.set('Retry-After', String(lockedFor));
+        return res.status(429).json({ error: 'Too many failed attempts. Account temporarily locked.', retryAfter: lockedFor });
+      }
 
-    if (!emailOrUsernameOrPhone || !password) {
-      return res.status(400).json({ error: 'Email/phone/username and password are required' });
+      if (!user.password) {
+        return res.status(401).json({
+          error: user.googleId
+            ? 'This account uses Google sign-in. Please sign in with Google.'
+            : 'This account has no password. Sign in with an email link instead.',
+        });
+      }
+
+      const valid = await user.comparePassword(password);
+      if (!valid) {
+        const failure = await recordLoginFailure(user._id);
+        if (failure.locked) {
+          res.set('Retry-After', String(failure.retryAfter));
+          return res.status(429).json({ error: 'Too many failed attempts. Account temporarily locked.', retryAfter: failure.retryAfter });
+        }
+        return res.status(401).json({ error: 'Invalid email/phone/username or password' });
+      }
+      if (user.failedLoginAttempts) await clearLoginFailures(user._id);
+
+      // 2FA accounts finish login at POST /api/auth/2fa/login with this challenge + a code
+      if (user.twoFactor?.enabled) {
+        return res.json({ twoFactorRequired: true, challengeToken: signTwoFactorChallenge(user._id) });
+      }
+
+      const { token, refreshToken } = await issueSession(user, req);
+
+      res.json({
+        token,
+        refreshToken,
+        user: {
+          id: user._id.toString(),
+          name: user.name,
+          username: user.username || (user.email && user.email.split('@')[0]) || '',
+          email: user.email,
+          phone: user.phone,
+          profilePhoto: user.profilePhoto,
+        },
+      });
+    } catch (err) {
+      console.error('Login error:', err);
+      res.status(500).json({ error: err.message || 'Login failed' });
     }
+  }
+);
 
-    const input = emailOrUsernameOrPhone.trim();
-    const isEmail = input.includes('@');
-    const isPhone = /^\+?\d{10,15}$/.test(input.replace(/\D/g, ''));
-    
-    let user;
-    if (isEmail) {
-      user = await User.findOne({ email: input.toLowerCase() });
-    } else if (isPhone) {
-      const phoneValidation = validatePhoneNumber(input);
-      if (phoneValidation.valid) {
-        user = await User.findOne({ phone: phoneValidation.cleaned });
+// Forgot password - send a reset code to the email or phone the account was registered with
+router.post(
+  '/forgot-password',
+  rateLimit({ name: 'forgot_password_ip', max: 10, windowMs: HOUR }),
+  rateLimit({ name: 'forgot_password_account', max: 5, windowMs: HOUR, key: byBodyField('emailOrUsernameOrPhone') }),
+  async (req, res) => {
+    try {
+      const { emailOrUsernameOrPhone } = req.body;
+      if (!emailOrUsernameOrPhone?.trim()) {
+        return res.status(400).json({ error: 'Email/phone/username is required' });
+      }
+
+      // Same response whether or not the account exists, so this can't be used to probe accounts
+      const genericResponse = { success: true, message: 'If an account exists, a reset code has been sent' };
+
+      const user = await findUserByIdentifier(emailOrUsernameOrPhone);
+      if (!user) return res.json(genericResponse);
+
+      const hasRealEmail = user.email && !user.email.endsWith('@google.placeholder');
+      const channel = hasRealEmail ? 'email' : user.phone ? 'phone' : null;
+      if (!channel) return res.json(genericResponse);
+
+      const identifier = user._id.toString();
+      // Cooldowns, lockouts and delivery failures only happen for real accounts, so they are
+      // logged rather than reported
+      const issued = await issueOtp({ identifier, purpose: 'password_reset', channel });
+      if (!issued.ok) {
+        console.warn(`Password reset code not issued for user ${identifier}: ${issued.error}`);
+        return res.json(genericResponse);
+      }
+
+      const result = await deliverOtp({
+        channel,
+        to: channel === 'email' ? user.email : user.phone,
+        otp: issued.otp,
+      });
+      if (!result.sent) {
+        await discardOtp({ identifier, purpose: 'password_reset' });
+        console.error(`Password reset code delivery failed for user ${identifier}: ${result.error}`);
       }
+
+      res.json(genericResponse);
+    } catch (err) {
+      console.error('Forgot password error:', err);
+      res.status(500).json({ error: err.message || 'Failed to send reset code' });
     }
-    
-    if (!user) {
-      user = await User.findOne({ username: input.toLowerCase() });
+  }
+);
+
+// Reset password with the code from /forgot-password; signs the user out everywhere
+router.post('/reset-password', rateLimit({ name: 'reset_password_ip', max: 20, windowMs: HOUR }), async (req, res) => {
+  try {
+    const { emailOrUsernameOrPhone, otp, newPassword } = req.body;
+    if (!emailOrUsernameOrPhone?.trim()) {
+      return res.status(400).json({ error: 'Email/phone/username is required' });
+    }
+    if (!otp || String(otp).length !== 6) {
+      return res.status(400).json({ error: 'Valid 6-digit OTP is required' });
+    }
+    if (!newPassword || newPassword.length < 6) {
+      return res.status(400).json({ error: 'Password must be at least 6 characters' });
     }
 
+    const user = await findUserByIdentifier(emailOrUsernameOrPhone);
     if (!user) {
-      return res.status(401).json({ error: 'Invalid email/phone/username or password' });
+      return res.status(400).json({ error: 'OTP expired or not sent. Please request a new OTP.' });
     }
+    const verified = await verifyOtp({ identifier: user._id.toString(), purpose: 'password_reset', code: otp });
+    if (!verified.ok) return sendOtpError(res, verified);
 
-    if (!user.password) {
-      return res.status(401).json({ error: 'This account uses Google sign-in. Please sign in with Google.' });
+    user.password = newPassword;
+    // Receiving the code proves ownership of the address it was sent to
+    if (verified.channel === 'email') user.emailVerified = true;
+    if (verified.channel === 'phone') user.phoneVerified = true;
+    await user.save();
+
+    // Account recovery also drops scripted access, in case a token leaked with the password
+    await revokeUserSessions(user._id, { reason: 'password_reset' });
+    await revokeUserAccessTokens(user._id);
+
+    res.json({ success: true, message: 'Password updated. Please sign in with your new password.' });
+  } catch (err) {
+    console.error('Reset password error:', err);
+    res.status(500).json({ error: err.message || 'Password reset failed' });
+  }
+});
+
+const MAGIC_LINK_TTL_MS = (Number(process.env.MAGIC_LINK_TTL_MINUTES) || 15) * MINUTE;
+
+// Passwordless sign-in: email a single-use link. Works as signup for new addresses.
+// The link opens the frontend, which POSTs the token to /magic-link/verify, so mail
+// scanners that prefetch links can't use it up.
+router.post(
+  '/magic-link',
+  rateLimit({ name: 'magic_link_ip', max: 10, windowMs: HOUR }),
+  rateLimit({ name: 'magic_link_email', max: 5, windowMs: HOUR, key: byBodyField('email') }),
+  async (req, res) => {
+    try {
+      const email = String(req.body.email || '').toLowerCase().trim();
+      if (!/^[^\s@]+@[^\s@]+\.[^\s@]+$/.test(email) || email.endsWith('@google.placeholder')) {
+        return res.status(400).json({ error: 'Valid email is required' });
+      }
+      const name = typeof req.body.name === 'string' ? req.body.name.trim().slice(0, 100) : '';
+
+      const user = await User.findOne({ email }).select('_id');
+      // Only the newest link for an address works
+      await AuthCode.deleteMany({ purpose: 'magic_link', 'metadata.email': email });
+      const token = await createAuthCode(user?._id || null, 'magic_link', {
+        ttlMs: MAGIC_LINK_TTL_MS,
+        metadata: { email, name },
+      });
+
+      const result = await sendMagicLinkEmail({
+        toEmail: email,
+        link: `${FRONTEND_URL}/auth/magic-link?token=${encodeURIComponent(token)}`,
+        isNewUser: !user,
+        expiresInMinutes: Math.round(MAGIC_LINK_TTL_MS / MINUTE),
+      });
+      if (!result.sent) {
+        await consumeAuthCode(token, 'magic_link');
+        return res.status(503).json({ error: 'Failed to send sign-in link' });
+      }
+
+      // Same response for new and existing addresses
+      res.json({ success: true, message: 'Check your email for a sign-in link' });
+    } catch (err) {
+      console.error('Magic link error:', err);
+      res.status(500).json({ error: err.message || 'Failed to send sign-in link' });
     }
+  }
+);
 
-    const valid = await user.comparePassword(password);
-    if (!valid) {
-      return res.status(401).json({ error: 'Invalid email/phone/username or password' });
+// Redeem a magic link token - signs in (or signs up) the owner of the email it was sent to
+router.post(
+  '/magic-link/verify',
+  rateLimit({ name: 'magic_link_verify_ip', max: 30, windowMs: 15 * MINUTE }),
+  async (req, res) => {
+    try {
+      const authCode = await consumeAuthCode(req.body.token, 'magic_link');
+      if (!authCode?.metadata?.email) {
+        return res.status(400).json({ error: 'This sign-in link is invalid, expired or already used' });
+      }
+      const { email, name } = authCode.metadata;
+
+      // Look up by email again: the account may have been created since the link was sent
+      let user = await User.findOne({ email });
+      const isNewUser = !user;
+      if (isNewUser) {
+        user = await User.create({
+          name: name || email.split('@')[0],
+          username: await generateUniqueUsername(email.split('@')[0]),
+          email,
+          emailVerified: true,
+        });
+      } else if (!user.emailVerified) {
+        // Opening the link proves ownership of the address
+        user.emailVerified = true;
+        await user.save();
+      }
+
+      if (user.twoFactor?.enabled) {
+        return res.json({ twoFactorRequired: true, challengeToken: signTwoFactorChallenge(user._id) });
+      }
+
+      const { token, refreshToken } = await issueSession(user, req);
+      res.status(isNewUser ? 201 : 200).json({
+        token,
+        refreshToken,
+        isNewUser,
+        user: {
+          id: user._id.toString(),
+          name: user.name,
+          username: user.username,
+          email: user.email,
+          phone: user.phone,
+          profilePhoto: user.profilePhoto,
+        },
+      });
+    } catch (err) {
+      console.error('Magic link verify error:', err);
+      res.status(500).json({ error: err.message || 'Sign-in failed' });
     }
+  }
+);
 
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
+// Exchange a refresh token for a new access token (the refresh token is rotated)
+router.post('/refresh', rateLimit({ name: 'refresh_ip', max: 120, windowMs: 15 * MINUTE }), async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken || typeof refreshToken !== 'string') {
+      return res.status(400).json({ error: 'refreshToken is required' });
+    }
 
-    res.json({
-      token,
-      user: {
-        id: user._id.toString(),
-        name: user.name,
-        username: user.username || (user.email && user.email.split('@')[0]) || '',
-        email: user.email,
-        phone: user.phone,
-        profilePhoto: user.profilePhoto,
-      },
+    const result = await rotateRefreshToken(refreshToken, req);
+    if (!result.ok) {
+      return res.status(401).json({
+        error: result.reused
+          ? 'Refresh token already used. Session revoked, please sign in again.'
+          : 'Invalid or expired refresh token',
+      });
+    }
+
+    res.json({ token: result.token, refreshToken: result.refreshToken });
+  } catch (err) {
+    console.error('Refresh error:', err);
+    res.status(500).json({ error: err.message || 'Token refresh failed' });
+  }
+});
+
+// Logout - revokes the session of the given refresh token (or of the current access token)
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (refreshToken && typeof refreshToken === 'string') {
+      await revokeSessionByRefreshToken(refreshToken);
+      return res.json({ success: true });
+    }
+    return authenticateToken(req, res, () => {
+      revokeSession(req.sessionId)
+        .then(() => res.json({ success: true }))
+        .catch((err) => res.status(500).json({ error: err.message || 'Logout failed' }));
     });
   } catch (err) {
-    console.error('Login error:', err);
-    res.status(500).json({ error: err.message || 'Login failed' });
+    console.error('Logout error:', err);
+    res.status(500).json({ error: err.message || 'Logout failed' });
   }
 });
 
-// Google OAuth - redirect to Google
-router.get('/google', (req, res, next) => {
-  if (!process.env.GOOGLE_CLIENT_ID) {
-    return res.status(503).json({ error: 'Google sign-in is not configured' });
+// Logout from every device
+router.post('/logout-all', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id);
+    res.json({ success: true, revoked });
+  } catch (err) {
+    console.error('Logout all error:', err);
+    res.status(500).json({ error: err.message || 'Logout failed' });
   }
-  passport.authenticate('google', { session: false })(req, res, next);
 });
 
-// Google OAuth callback - issue JWT and redirect to frontend
-router.get('/google/callback', (req, res, next) => {
-  passport.authenticate('google', { session: false }, (err, user) => {
-    if (err) {
-      return res.redirect(`${FRONTEND_URL}/login?error=${encodeURIComponent(err.message || 'Google sign-in failed')}`);
+// List signed-in devices (active sessions) of the current user
+router.get('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const sessions = await listUserSessions(req.user._id);
+    res.json(sessions.map((s) => ({
+      id: s._id.toString(),
+      userAgent: s.userAgent,
+      ip: s.ip,
+      platform: s.platform,
+      lastUsedAt: s.lastUsedAt,
+      createdAt: s.createdAt,
+      current: s._id.toString() === req.sessionId,
+    })));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Sign out every other device (keeps the current session)
+router.delete('/sessions', authenticateToken, async (req, res) => {
+  try {
+    const revoked = await revokeUserSessions(req.user._id, { exceptSessionId: req.sessionId, reason: 'remote_logout' });
+    res.json({ success: true, revoked });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Sign out one device
+router.delete('/sessions/:id', authenticateToken, async (req, res) => {
+  try {
+    if (!/^[a-fA-F0-9]{24}$/.test(req.params.id)) {
+      return res.status(404).json({ error: 'Session not found' });
     }
-    if (!user) {
-      return res.redirect(`${FRONTEND_URL}/login?error=${encodeURIComponent('Google sign-in failed')}`);
+    const revoked = await revokeSession(req.params.id, 'remote_logout', req.user._id);
+    if (!revoked) return res.status(404).json({ error: 'Session not found' });
+    res.json({ success: true, current: req.params.id === req.sessionId });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+const OAUTH_STATE_COOKIE = 'oauth_state';
+const OAUTH_LINK_COOKIE = 'oauth_link';
+const OAUTH_STATE_TTL_MS = 10 * 60 * 1000;
+const OAUTH_LINK_CONFIRM_TTL_MS = 10 * 60 * 1000;
+// Route prefix for the OAuth providers: /google/..., /github/...
+const PROVIDER_PATH = `/:provider(${Object.keys(OAUTH_PROVIDERS).join('|')})`;
+
+function readCookie(req, name) {
+  const header = req.headers.cookie || '';
+  for (const part of header.split(';')) {
+    const [key, ...rest] = part.trim().split('=');
+    if (key === name) return decodeURIComponent(rest.join('='));
+  }
+  return null;
+}
+
+function redirectOAuthError(res, provider, message) {
+  const fallback = `${OAUTH_PROVIDERS[provider].label} sign-in failed`;
+  return res.redirect(`${FRONTEND_URL}/login?error=${encodeURIComponent(message || fallback)}`);
+}
+
+function requireOAuthConfigured(req, res, next) {
+  if (!oauthConfigured[req.params.provider]()) {
+    return res.status(503).json({ error: `${OAUTH_PROVIDERS[req.params.provider].label} sign-in is not configured` });
+  }
+  next();
+}
+
+// OAuth - redirect to the provider. A random `state` is bound to this browser via a cookie
+// and checked on the callback, so a forged callback can't log the victim into another account.
+// With ?link=<code from /:provider/link/start> the provider account is linked to the signed-in user.
+router.get(PROVIDER_PATH, requireOAuthConfigured, (req, res, next) => {
+  const { provider } = req.params;
+  const cookieOptions = {
+    httpOnly: true,
+    secure: process.env.NODE_ENV === 'production',
+    sameSite: 'lax',
+    maxAge: OAUTH_STATE_TTL_MS,
+    path: `/api/auth/${provider}`,
+  };
+  const state = crypto.randomBytes(24).toString('base64url');
+  res.cookie(OAUTH_STATE_COOKIE, state, cookieOptions);
+  if (typeof req.query.link === 'string' && req.query.link) {
+    res.cookie(OAUTH_LINK_COOKIE, req.query.link, cookieOptions);
+  } else {
+    res.clearCookie(OAUTH_LINK_COOKIE, { path: `/api/auth/${provider}` });
+  }
+  passport.authenticate(provider, { session: false, state })(req, res, next);
+});
+
+// OAuth callback - redirect to the frontend with a one-time code (never the tokens);
+// the frontend exchanges it at POST /api/auth/:provider/exchange
+router.get(`${PROVIDER_PATH}/callback`, requireOAuthConfigured, async (req, res, next) => {
+  const { provider } = req.params;
+  const { label } = OAUTH_PROVIDERS[provider];
+  const expectedState = readCookie(req, OAUTH_STATE_COOKIE);
+  const linkCode = readCookie(req, OAUTH_LINK_COOKIE);
+  res.clearCookie(OAUTH_STATE_COOKIE, { path: `/api/auth/${provider}` });
+  res.clearCookie(OAUTH_LINK_COOKIE, { path: `/api/auth/${provider}` });
+  const state = typeof req.query.state === 'string' ? req.query.state : '';
+  if (
+    !expectedState ||
+    state.length !== expectedState.length ||
+    !crypto.timingSafeEqual(Buffer.from(state), Buffer.from(expectedState))
+  ) {
+    return redirectOAuthError(res, provider, `${label} sign-in expired. Please try again.`);
+  }
+
+  if (linkCode) {
+    try {
+      const intent = await consumeAuthCode(linkCode, `${provider}_link_intent`);
+      if (!intent) {
+        return res.redirect(`${FRONTEND_URL}/settings?linkError=${encodeURIComponent(`${label} linking expired. Please try again.`)}`);
+      }
+      req.oauthLinkUserId = intent.userId.toString();
+    } catch (err) {
+      return next(err);
+    }
+  }
+
+  passport.authenticate(provider, { session: false }, async (err, user, info) => {
+    if (req.oauthLinkUserId) {
+      if (err || !info?.linkIntent) {
+        const message = err?.message || `${label} linking failed`;
+        return res.redirect(`${FRONTEND_URL}/settings?linkError=${encodeURIComponent(message)}`);
+      }
+      try {
+        // The signed-in frontend finishes the link, so a link URL planted by someone
+        // else can't attach this provider account to their user
+        const code = await createAuthCode(req.oauthLinkUserId, `${provider}_link_complete`, {
+          ttlMs: OAUTH_LINK_CONFIRM_TTL_MS,
+          metadata: { providerId: info.providerId, extra: info.extra || {} },
+        });
+        return res.redirect(`${FRONTEND_URL}/settings?${provider}LinkCode=${encodeURIComponent(code)}`);
+      } catch (codeErr) {
+        return next(codeErr);
+      }
+    }
+    if (err) return redirectOAuthError(res, provider, err.message);
+    try {
+      if (!user && info?.linkRequired) {
+        const code = await createAuthCode(info.userId, `${provider}_link_confirm`, {
+          ttlMs: OAUTH_LINK_CONFIRM_TTL_MS,
+          metadata: { providerId: info.providerId, photo: info.photo || null, extra: info.extra || {} },
+        });
+        // Accounts without a password (magic link / OAuth signups) confirm with an emailed code
+        const confirmWith = info.hasPassword ? 'password' : 'email_code';
+        return res.redirect(
+          `${FRONTEND_URL}/auth/callback?provider=${provider}&linkRequired=1&confirmWith=${confirmWith}&code=${encodeURIComponent(code)}`
+        );
+      }
+      if (!user) return redirectOAuthError(res, provider);
+      const code = await createAuthCode(user._id, `${provider}_login`, { ttlMs: OAUTH_CODE_TTL_MS });
+      res.redirect(`${FRONTEND_URL}/auth/callback?provider=${provider}&code=${encodeURIComponent(code)}`);
+    } catch (codeErr) {
+      console.error(`${label} auth code error:`, codeErr);
+      redirectOAuthError(res, provider);
     }
-    const token = jwt.sign(
-      { userId: user._id },
-      process.env.JWT_SECRET,
-      { expiresIn: '7d' }
-    );
-    const userPayload = encodeURIComponent(
-      JSON.stringify({
-        id: user._id.toString(),
-        name: user.name,
-        username: user.username,
-        email: user.email,
-        profilePhoto: user.profilePhoto,
-      })
-    );
-    res.redirect(`${FRONTEND_URL}/auth/callback?token=${token}&user=${userPayload}`);
   })(req, res, next);
 });
 
+// Exchange the one-time code from the OAuth callback for a session
+router.post(
+  `${PROVIDER_PATH}/exchange`,
+  rateLimit({ name: 'oauth_exchange_ip', max: 30, windowMs: 15 * MINUTE }),
+  async (req, res) => {
+    const { label } = OAUTH_PROVIDERS[req.params.provider];
+    try {
+      const authCode = await consumeAuthCode(req.body.code, `${req.params.provider}_login`);
+      if (!authCode) {
+        return res.status(400).json({ error: 'Invalid or expired code. Please sign in again.' });
+      }
+
+      const user = await User.findById(authCode.userId);
+      if (!user) return res.status(401).json({ error: 'User not found' });
+
+      if (user.twoFactor?.enabled) {
+        return res.json({ twoFactorRequired: true, challengeToken: signTwoFactorChallenge(user._id) });
+      }
+
+      const { token, refreshToken } = await issueSession(user, req);
+      res.json({
+        token,
+        refreshToken,
+        user: {
+          id: user._id.toString(),
+          name: user.name,
+          username: user.username,
+          email: user.email,
+          profilePhoto: user.profilePhoto,
+        },
+      });
+    } catch (err) {
+      console.error(`${label} exchange error:`, err);
+      res.status(500).json({ error: err.message || `${label} sign-in failed` });
+    }
+  }
+);
+
+// Sign-in methods linked to the current account
+router.get('/methods', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).lean();
+    const hasRealEmail = !!user.email && !user.email.endsWith('@google.placeholder');
+    res.json({
+      password: !!user.password,
+      google: !!user.googleId,
+      github: !!user.githubId,
+      githubUsername: user.githubId ? user.githubUsername : null,
+      email: hasRealEmail ? user.email : null,
+      emailVerified: hasRealEmail && !!user.emailVerified,
+      phone: user.phone || null,
+      phoneVerified: !!user.phoneVerified,
+      twoFactor: !!user.twoFactor?.enabled,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Email a confirmation code for linking to an account without a password (confirmWith=email_code).
+// The link code from the callback stays valid and is sent again with the emailed code to /link/confirm.
+router.post(
+  `${PROVIDER_PATH}/link/send-code`,
+  rateLimit({ name: 'oauth_link_send_code_ip', max: 10, windowMs: 15 * MINUTE }),
+  async (req, res) => {
+    const { provider } = req.params;
+    const { label } = OAUTH_PROVIDERS[provider];
+    try {
+      const authCode = await findAuthCode(req.body.code, `${provider}_link_confirm`);
+      if (!authCode) {
+        return res.status(400).json({ error: `Invalid or expired code. Please sign in with ${label} again.` });
+      }
+      const user = await User.findById(authCode.userId).select('email');
+      if (!user?.email) return res.status(401).json({ error: 'User not found' });
+
+      const identifier = user._id.toString();
+      const issued = await issueOtp({ identifier, purpose: `${provider}_link`, channel: 'email' });
+      if (!issued.ok) return sendOtpError(res, issued);
+
+      const result = await deliverOtp({ channel: 'email', to: user.email, otp: issued.otp });
+      if (!result.sent) {
+        await discardOtp({ identifier, purpose: `${provider}_link` });
+        return res.status(503).json({ error: result.error || 'Failed to send confirmation code' });
+      }
+      res.json({ success: true, message: 'A confirmation code has been sent to your email' });
+    } catch (err) {
+      console.error(`${label} link send-code error:`, err);
+      res.status(500).json({ error: err.message || 'Failed to send confirmation code' });
+    }
+  }
+);
+
+// Confirm linking a provider to an existing account found by email during OAuth sign-in:
+// code from the callback's ?linkRequired=1 redirect + the account password, or for accounts
+// without a password the emailed code from /link/send-code as `otp`
+router.post(
+  `${PROVIDER_PATH}/link/confirm`,
+  rateLimit({ name: 'oauth_link_confirm_ip', max: 20, windowMs: 15 * MINUTE }),
+  async (req, res) => {
+    const { provider } = req.params;
+    const { field, label } = OAUTH_PROVIDERS[provider];
+    try {
+      const { code, password, otp } = req.body;
+      if (!code || (!password && !otp)) {
+        return res.status(400).json({ error: 'code and password (or otp) are required' });
+      }
+      const invalidCode = { error: `Invalid or expired code. Please sign in with ${label} again.` };
+
+      // The link code is only used up once the password or emailed code checks out, so a wrong
+      // one can be retried without signing in with the provider again
+      const pending = await findAuthCode(code, `${provider}_link_confirm`);
+      if (!pending) return res.status(400).json(invalidCode);
+
+      let user;
+      if (otp) {
+        // Emailed codes have their own attempt limit (services/otp.js) and don't count towards
+        // the login lockout
+        const verified = await verifyOtp({ identifier: pending.userId.toString(), purpose: `${provider}_link`, code: otp });
+        if (!verified.ok) return sendOtpError(res, verified);
+        user = await User.findById(pending.userId);
+        if (!user) return res.status(401).json({ error: 'User not found' });
+      } else {
+        user = await User.findById(pending.userId).select('+failedLoginAttempts +loginLockedUntil');
+        if (!user) return res.status(401).json({ error: 'User not found' });
+        if (!user.password) {
+          return res.status(400).json({ error: 'This account has no password. Confirm with an emailed code instead.' });
+        }
+
+        const lockedFor = loginLockRemaining(user);
+        if (lockedFor) {
+          res.set('Retry-After', String(lockedFor));
+          return res.status(429).json({ error: 'Too many failed attempts. Account temporarily locked.', retryAfter: lockedFor });
+        }
+        if (!(await user.comparePassword(password))) {
+          await recordLoginFailure(user._id);
+          return res.status(401).json({ error: 'Incorrect password' });
+        }
+        if (user.failedLoginAttempts) await clearLoginFailures(user._id);
+      }
+
+      // Consuming is atomic, so of two confirmations racing with the same code only one links
+      const authCode = await consumeAuthCode(code, `${provider}_link_confirm`);
+      if (!authCode) return res.status(400).json(invalidCode);
+
+      const { providerId, photo, extra } = authCode.metadata || {};
+      if (await User.exists({ [field]: providerId, _id: { $ne: user._id } })) {
+        return res.status(409).json({ error: `This ${label} account is already linked to another user` });
+      }
+      user[field] = providerId;
+      user.set(extra || {});
+      if (photo && !user.profilePhoto) user.profilePhoto = photo;
+      await user.save();
+
+      if (user.twoFactor?.enabled) {
+        return res.json({ linked: true, twoFactorRequired: true, challengeToken: signTwoFactorChallenge(user._id) });
+      }
+
+      const { token, refreshToken } = await issueSession(user, req);
+      res.json({
+        linked: true,
+        token,
+        refreshToken,
+        user: {
+          id: user._id.toString(),
+          name: user.name,
+          username: user.username,
+          email: user.email,
+          profilePhoto: user.profilePhoto,
+        },
+      });
+    } catch (err) {
+      console.error(`${label} link confirm error:`, err);
+      res.status(500).json({ error: err.message || 'Linking failed' });
+    }
+  }
+);
+
+// Start linking a provider from account settings: returns a URL to navigate the browser to
+router.post(`${PROVIDER_PATH}/link/start`, authenticateToken, requireOAuthConfigured, async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const { field, label } = OAUTH_PROVIDERS[provider];
+    if (req.user[field]) {
+      return res.status(400).json({ error: `${label} is already linked` });
+    }
+    const code = await createAuthCode(req.user._id, `${provider}_link_intent`, { ttlMs: OAUTH_LINK_CONFIRM_TTL_MS });
+    res.json({ url: `${BACKEND_URL}/api/auth/${provider}?link=${encodeURIComponent(code)}` });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Finish linking from settings with the code from the callback redirect
+router.post(`${PROVIDER_PATH}/link/complete`, authenticateToken, async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const { field, label } = OAUTH_PROVIDERS[provider];
+    const authCode = await consumeAuthCode(req.body.code, `${provider}_link_complete`);
+    if (!authCode || authCode.userId.toString() !== req.user._id.toString()) {
+      return res.status(400).json({ error: 'Invalid or expired code. Please try linking again.' });
+    }
+    const { providerId, extra } = authCode.metadata || {};
+    if (await User.exists({ [field]: providerId, _id: { $ne: req.user._id } })) {
+      return res.status(409).json({ error: `This ${label} account is already linked to another user` });
+    }
+    await User.findByIdAndUpdate(req.user._id, { $set: { [field]: providerId, ...(extra || {}) } });
+    res.json({ success: true, [provider]: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Unlink a provider (requires the account password, so a password must be set first)
+router.delete(`${PROVIDER_PATH}/link`, authenticateToken, async (req, res) => {
+  try {
+    const { provider } = req.params;
+    const { field, label } = OAUTH_PROVIDERS[provider];
+    const user = await User.findById(req.user._id);
+    if (!user[field]) {
+      return res.status(400).json({ error: `${label} is not linked` });
+    }
+    if (!user.password) {
+      return res.status(400).json({ error: `Set a password before unlinking ${label}, otherwise you could not sign in` });
+    }
+    if (!req.body?.password || !(await user.comparePassword(req.body.password))) {
+      return res.status(401).json({ error: 'Incorrect password' });
+    }
+    const placeholderEmail = provider === 'google' && user.email?.endsWith('@google.placeholder');
+    if (placeholderEmail || !user.email) {
+      if (!user.phone) {
+        return res.status(400).json({ error: `Add an email or phone number before unlinking ${label}` });
+      }
+      if (placeholderEmail) {
+        user.email = undefined;
+        user.emailVerified = false;
+      }
+    }
+    user[field] = null;
+    if (provider === 'github') user.githubUsername = null;
+    await user.save();
+    res.json({ success: true, [provider]: false });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Send a code for setting a first password (accounts without one, e.g. Google sign-ups)
+router.post(
+  '/password/otp',
+  authenticateToken,
+  rateLimit({ name: 'password_otp_user', max: 5, windowMs: HOUR, key: byUser }),
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user._id);
+      if (user.password) {
+        return res.status(400).json({ error: 'Use your current password to change it' });
+      }
+      const hasRealEmail = user.email && !user.email.endsWith('@google.placeholder');
+      const channel = hasRealEmail ? 'email' : user.phone ? 'phone' : null;
+      if (!channel) {
+        return res.status(400).json({ error: 'Add an email or phone number to your account first' });
+      }
+
+      const identifier = user._id.toString();
+      const issued = await issueOtp({ identifier, purpose: 'set_password', channel });
+      if (!issued.ok) return sendOtpError(res, issued);
+
+      const result = await deliverOtp({ channel, to: channel === 'email' ? user.email : user.phone, otp: issued.otp });
+      if (!result.sent) {
+        await discardOtp({ identifier, purpose: 'set_password' });
+        return res.status(503).json({ error: result.error || 'Failed to send code' });
+      }
+      res.json({ success: true, type: channel });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Set a password (verified with a code from /password/otp) or change it (verified with the
+// current password). Other sessions are signed out and personal access tokens revoked.
+router.post(
+  '/password',
+  authenticateToken,
+  rateLimit({ name: 'password_change_user', max: 10, windowMs: 15 * MINUTE, key: byUser }),
+  async (req, res) => {
+    try {
+      const { currentPassword, otp, newPassword } = req.body;
+      if (!newPassword || newPassword.length < 6) {
+        return res.status(400).json({ error: 'Password must be at least 6 characters' });
+      }
+
+      const user = await User.findById(req.user._id);
+      if (user.password) {
+        if (!currentPassword || !(await user.comparePassword(currentPassword))) {
+          return res.status(401).json({ error: 'Current password is incorrect' });
+        }
+      } else {
+        if (!otp) {
+          return res.status(400).json({ error: 'Verification code is required' });
+        }
+        const verified = await verifyOtp({ identifier: user._id.toString(), purpose: 'set_password', code: otp });
+        if (!verified.ok) return sendOtpError(res, verified);
+      }
+
+      user.password = newPassword;
+      await user.save();
+      await revokeUserSessions(user._id, { exceptSessionId: req.sessionId, reason: 'password_change' });
+      // Like a reset, in case a token leaked with the old password
+      await revokeUserAccessTokens(user._id);
+
+      res.json({ success: true, password: true });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
 export default router;
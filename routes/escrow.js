@@ -5,7 +5,7 @@ import Notification from '../models/Notification.js';
 import WorkerReview from '../models/WorkerReview.js';
 import UserCard from '../models/UserCard.js';
 import User from '../models/User.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { authenticateToken, authenticateWithScope, requireRecentTwoFactor } from '../middleware/auth.js';
 import { sendProjectOfferEmail } from '../services/email.js';
 import { sendPushToUser } from '../services/push.js';
 
@@ -245,8 +245,8 @@ router.post('/projects/:id/complete', authenticateToken, async (req, res) => {
   }
 });
 
-// Client pays final 90%
-router.post('/projects/:id/final-payment', authenticateToken, async (req, res) => {
+// Client pays final 90% (fresh 2FA check required when the client has 2FA enabled)
+router.post('/projects/:id/final-payment', authenticateToken, requireRecentTwoFactor, async (req, res) => {
   try {
     const project = await EscrowProject.findById(req.params.id)
       .populate('workerId', 'name');
@@ -290,7 +290,7 @@ router.post('/projects/:id/final-payment', authenticateToken, async (req, res) =
 });
 
 // Client submits rating - triggers payment release
-router.post('/projects/:id/rate', authenticateToken, async (req, res) => {
+router.post('/projects/:id/rate', authenticateToken, requireRecentTwoFactor, async (req, res) => {
   try {
     const project = await EscrowProject.findById(req.params.id)
       .populate('workerId', 'name');
@@ -368,7 +368,7 @@ router.post('/projects/:id/rate', authenticateToken, async (req, res) => {
 });
 
 // Get my transactions (payment history)
-router.get('/transactions', authenticateToken, async (req, res) => {
+router.get('/transactions', authenticateWithScope('escrow:read'), async (req, res) => {
   try {
     const me = req.user._id;
     const txns = await Transaction.find({
@@ -402,7 +402,7 @@ router.get('/transactions', authenticateToken, async (req, res) => {
 });
 
 // Get project by chat participant (for chat page)
-router.get('/projects/chat/:withUserId', authenticateToken, async (req, res) => {
+router.get('/projects/chat/:withUserId', authenticateWithScope('escrow:read'), async (req, res) => {
   try {
     const me = req.user._id.toString();
     const withId = req.params.withUserId;
@@ -426,7 +426,7 @@ router.get('/projects/chat/:withUserId', authenticateToken, async (req, res) =>
 });
 
 // Get single project
-router.get('/projects/:id', authenticateToken, async (req, res) => {
+router.get('/projects/:id', authenticateWithScope('escrow:read'), async (req, res) => {
   try {
     const project = await EscrowProject.findById(req.params.id)
       .populate('clientId', 'name')
@@ -447,7 +447,7 @@ router.get('/projects/:id', authenticateToken, async (req, res) => {
 });
 
 // Get my projects (all)
-router.get('/projects', authenticateToken, async (req, res) => {
+router.get('/projects', authenticateWithScope('escrow:read'), async (req, res) => {
   try {
     const projects = await EscrowProject.find({
       $or: [{ clientId: req.user._id }, { workerId: req.user._id }],
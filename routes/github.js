@@ -0,0 +1,128 @@
+import express from 'express';
+import { authenticateToken, authenticateWithScope } from '../middleware/auth.js';
+import { rateLimit, byUser } from '../middleware/rateLimit.js';
+import Project from '../models/Project.js';
+import { getGitHubClient } from '../services/github.js';
+import { creatorLocationFor, authorFieldsFor } from '../services/projectFeed.js';
+import { placeNewProject } from '../services/projectOrder.js';
+import { safeLinkUrl } from '../services/projectLinks.js';
+
+const router = express.Router();
+const REPOS_PER_PAGE = 30;
+const MAX_IMPORT = 10;
+
+// Links that aren't http(s) are left out rather than failing the import
+const importLink = (value) => (safeLinkUrl(value) ? value.trim() : '');
+
+function requireGitHubLinked(req, res, next) {
+  if (!req.user.githubId || !req.user.githubUsername) {
+    return res.status(400).json({ error: 'Link your GitHub account first' });
+  }
+  next();
+}
+
+// Public repositories of the linked GitHub account, flagged when already imported
+router.get(
+  '/repos',
+  authenticateToken,
+  requireGitHubLinked,
+  rateLimit({ name: 'github_repos_user', max: 60, windowMs: 60 * 60 * 1000, key: byUser }),
+  async (req, res) => {
+    try {
+      const page = Math.max(parseInt(req.query.page) || 1, 1);
+      const repos = await getGitHubClient().listUserRepos(req.user.githubUsername, { page, perPage: REPOS_PER_PAGE });
+
+      const imported = await Project.find({
+        userId: req.user._id,
+        githubRepoId: { $in: repos.map((r) => r.id) },
+      })
+        .select('githubRepoId')
+        .lean();
+      const importedIds = new Set(imported.map((p) => p.githubRepoId));
+
+      res.json({
+        repos: repos.map((r) => ({ ...r, imported: importedIds.has(r.id) })),
+        page,
+        hasMore: repos.length === REPOS_PER_PAGE,
+      });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+// Import repositories as project cards.
+// Body: { repos: [{ id, title?, description?, liveDemoUrl? }] } - anything omitted is prefilled from GitHub.
+router.post(
+  '/import',
+  authenticateWithScope('projects:write'),
+  requireGitHubLinked,
+  rateLimit({ name: 'github_import_user', max: 20, windowMs: 60 * 60 * 1000, key: byUser }),
+  async (req, res) => {
+    try {
+      const items = Array.isArray(req.body.repos) ? req.body.repos : [];
+      if (items.length === 0) {
+        return res.status(400).json({ error: 'Select at least one repository' });
+      }
+      if (items.length > MAX_IMPORT) {
+        return res.status(400).json({ error: `You can import at most ${MAX_IMPORT} repositories at a time` });
+      }
+
+      const github = getGitHubClient();
+      const creatorLocation = await creatorLocationFor(req.user._id);
+      const imported = [];
+      const skipped = [];
+      for (const item of items) {
+        const repoId = Number(item?.id);
+        if (!Number.isInteger(repoId)) {
+          skipped.push({ id: item?.id ?? null, reason: 'invalid_id' });
+          continue;
+        }
+        if (await Project.exists({ userId: req.user._id, githubRepoId: repoId })) {
+          skipped.push({ id: repoId, reason: 'already_imported' });
+          continue;
+        }
+        const repo = await github.getRepo(repoId);
+        // Only public repositories of the linked account can be imported
+        if (!repo || repo.private || repo.ownerId !== req.user.githubId) {
+          skipped.push({ id: repoId, reason: 'not_found' });
+          continue;
+        }
+
+        const title = (typeof item.title === 'string' && item.title.trim()) || repo.name;
+        const description =
+          (typeof item.description === 'string' && item.description.trim()) || repo.description || `${repo.name} on GitHub`;
+        const liveDemoUrl = importLink(item.liveDemoUrl) || importLink(repo.homepage);
+        const project = await Project.create({
+          title: title.slice(0, 200),
+          description,
+          media: [{ url: repo.imageUrl, type: 'image', cover: true }],
+          order: 0,
+          userId: req.user._id,
+          liveDemoUrl,
+          codeUrl: importLink(repo.htmlUrl),
+          githubRepoId: repo.id,
+          creatorLocation,
+          ...authorFieldsFor(req.user),
+        });
+        await placeNewProject(project);
+        imported.push({
+          id: project._id.toString(),
+          title: project.title,
+          description: project.description,
+          media: project.media,
+          liveDemoUrl: project.liveDemoUrl,
+          codeUrl: project.codeUrl,
+          githubRepoId: project.githubRepoId,
+          createdAt: project.createdAt,
+        });
+      }
+
+      res.status(imported.length ? 201 : 200).json({ imported, skipped });
+    } catch (err) {
+      res.status(err.status || 500).json({ error: err.message });
+    }
+  }
+);
+
+export default router;
@@ -5,6 +5,13 @@ import User from "../models/User.js";
 import { authenticateToken } from "../middleware/auth.js";
 import { sendNewMessageEmail } from "../services/email.js";
 import { sendPushToUser } from "../services/push.js";
+import { rateLimit, byUser } from "../middleware/rateLimit.js";
+import { consume } from "../services/rateLimit.js";
+import {
+  resolveMentions,
+  formatMentions,
+  notifyMentions,
+} from "../services/mentions.js";
 
 const router = express.Router();
 
@@ -154,6 +161,7 @@ router.get("/", authenticateToken, async (req, res) => {
       senderId: m.senderId.toString(),
       receiverId: m.receiverId.toString(),
       text: m.text,
+      mentions: formatMentions(m.mentions),
       read: m.read,
       createdAt: m.createdAt,
       isMe: m.senderId.toString() === meStr,
@@ -165,55 +173,87 @@ router.get("/", authenticateToken, async (req, res) => {
   }
 });
 
+// At most one "new message" email per sender/receiver pair in this window
+const MESSAGE_EMAIL_WINDOW_MS = 10 * 60 * 1000;
+
 // Send message (anyone can message anyone)
-router.post("/", authenticateToken, async (req, res) => {
-  try {
-    const { toUserId, text } = req.body;
-    if (!toUserId || !text?.trim()) {
-      return res.status(400).json({ error: "toUserId and text required" });
-    }
+router.post(
+  "/",
+  authenticateToken,
+  rateLimit({ name: "messages_user", max: 30, windowMs: 60 * 1000, key: byUser }),
+  rateLimit({ name: "messages_user_daily", max: 1000, windowMs: 24 * 60 * 60 * 1000, key: byUser }),
+  async (req, res) => {
+    try {
+      const { toUserId, text } = req.body;
+      if (!toUserId || !text?.trim()) {
+        return res.status(400).json({ error: "toUserId and text required" });
+      }
 
-    const me = req.user._id;
-    const receiver = await User.findById(toUserId).select("name email");
-    if (!receiver) return res.status(404).json({ error: "User not found" });
+      const me = req.user._id;
+      const receiver = await User.findById(toUserId).select("name email");
+      if (!receiver) return res.status(404).json({ error: "User not found" });
 
-    const message = await Message.create({
-      senderId: me,
-      receiverId: toUserId,
-      text: text.trim(),
-    });
+      const mentions = await resolveMentions(text.trim());
+      const message = await Message.create({
+        senderId: me,
+        receiverId: toUserId,
+        text: text.trim(),
+        mentions,
+      });
 
-    const messagePreview =
-      text.trim().slice(0, 100) + (text.trim().length > 100 ? "..." : "");
-    sendNewMessageEmail({
-      toEmail: receiver.email,
-      toName: receiver.name,
-      fromName: req.user.name,
-      messagePreview,
-    }).catch(() => {});
-
-    sendPushToUser(toUserId, {
-      title: "New message",
-      body: `${req.user.name}: ${messagePreview}`,
-      data: {
-        type: "message",
-        fromUserId: me.toString(),
-        fromName: req.user.name,
-      },
-    }).catch((err) => console.error("Push (message) failed:", err?.message));
-
-    res.status(201).json({
-      id: message._id.toString(),
-      senderId: message.senderId.toString(),
-      receiverId: message.receiverId.toString(),
-      text: message.text,
-      read: message.read,
-      createdAt: message.createdAt,
-      isMe: true,
-    });
-  } catch (err) {
-    res.status(500).json({ error: err.message });
-  }
-});
+      // Only the receiver can read the conversation, so a mention of anyone else
+      // is rendered as a link but doesn't notify them
+      notifyMentions({
+        mentions: mentions.filter((m) => m.userId.equals(receiver._id)),
+        actor: req.user,
+        context: {
+          title: "You were mentioned",
+          body: `${req.user.name} mentioned you in a message`,
+          link: `/messages/${me}`,
+          messageId: message._id,
+        },
+      }).catch((err) =>
+        console.error("Mention notifications failed:", err?.message),
+      );
+
+      const messagePreview =
+        text.trim().slice(0, 100) + (text.trim().length > 100 ? "..." : "");
+      consume(`message_email:${me}:${toUserId}`, { max: 1, windowMs: MESSAGE_EMAIL_WINDOW_MS })
+        .then(({ allowed }) => {
+          if (!allowed) return;
+          return sendNewMessageEmail({
+            toEmail: receiver.email,
+            toName: receiver.name,
+            fromName: req.user.name,
+            messagePreview,
+          });
+        })
+        .catch(() => {});
+
+      sendPushToUser(toUserId, {
+        title: "New message",
+        body: `${req.user.name}: ${messagePreview}`,
+        data: {
+          type: "message",
+          fromUserId: me.toString(),
+          fromName: req.user.name,
+        },
+      }).catch((err) => console.error("Push (message) failed:", err?.message));
+
+      res.status(201).json({
+        id: message._id.toString(),
+        senderId: message.senderId.toString(),
+        receiverId: message.receiverId.toString(),
+        text: message.text,
+        mentions: formatMentions(message.mentions),
+        read: message.read,
+        createdAt: message.createdAt,
+        isMe: true,
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
 
 export default router;
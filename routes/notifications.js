@@ -1,6 +1,7 @@
 import express from 'express';
 import Notification from '../models/Notification.js';
 import DeviceToken from '../models/DeviceToken.js';
+import Session from '../models/Session.js';
 import { authenticateToken } from '../middleware/auth.js';
 
 const router = express.Router();
@@ -16,9 +17,11 @@ router.post('/register-device', authenticateToken, async (req, res) => {
     const plat = ['android', 'ios', 'web', 'windows', 'mac'].includes(platform) ? platform : 'web';
     await DeviceToken.findOneAndUpdate(
       { userId: req.user._id, token: normalized },
-      { $set: { platform: plat, updatedAt: new Date() } },
+      { $set: { platform: plat, sessionId: req.sessionId, updatedAt: new Date() } },
       { upsert: true, new: true }
     );
+    // The app knows its platform better than the user agent guess made at login
+    await Session.updateOne({ _id: req.sessionId }, { $set: { platform: plat } });
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -50,6 +53,11 @@ router.get('/', authenticateToken, async (req, res) => {
       title: n.title,
       message: n.message,
       escrowProjectId: n.escrowProjectId?.toString(),
+      actorId: n.actorId?.toString(),
+      projectId: n.projectId?.toString(),
+      commentId: n.commentId?.toString(),
+      messageId: n.messageId?.toString(),
+      link: n.link,
       read: n.read,
       readAt: n.readAt,
       createdAt: n.createdAt,
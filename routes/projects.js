@@ -1,22 +1,70 @@
 import express from 'express';
+import mongoose from 'mongoose';
 import Project from '../models/Project.js';
 import User from '../models/User.js';
-import { authenticateToken } from '../middleware/auth.js';
+import { destroyMedia } from '../cloudinary.js';
+import { authenticateToken, authenticateWithScope, optionalAuth } from '../middleware/auth.js';
+import {
+  listComments,
+  listReplies,
+  addComment,
+  editComment,
+  deleteComment,
+  setCommentLike,
+  deleteProjectComments,
+} from '../services/comments.js';
+import { reorderProjects, closeOrderGap, MAX_PINNED_PROJECTS } from '../services/projectOrder.js';
+import { notifyLater } from '../services/notifications.js';
+import { saveProject, unsaveProject, deleteProjectSaves } from '../services/savedProjects.js';
+import {
+  CLICK_TARGETS,
+  recordClick,
+  recordInteractionLater,
+  projectAnalytics,
+  deleteProjectAnalytics,
+} from '../services/projectAnalytics.js';
+import { safeLinkUrl, parseLinkUrl } from '../services/projectLinks.js';
+import { parseTags, parseCategory } from '../services/projectTags.js';
+import {
+  MAX_PROJECT_MEDIA,
+  MAX_PROJECT_MEDIA_BYTES,
+  MAX_CAPTION_LENGTH,
+  parseJsonField,
+  parseMediaMeta,
+  galleryBytes,
+  setCover,
+} from '../services/projectMedia.js';
+import { upload, discardUploads, acceptUploads, uploadGallery, newFileIndex } from '../services/uploads.js';
+import { rateLimit, byIp } from '../middleware/rateLimit.js';
 
 const router = express.Router();
 
 // Like project
 router.post('/:id/like', authenticateToken, async (req, res) => {
   try {
-    const project = await Project.findByIdAndUpdate(
-      req.params.id,
-      { $addToSet: { likes: req.user._id } },
-      { new: true }
-    );
+    // The filter makes a repeated like a no-op, keeping likeCount in step with likes
+    const liked = await Project.findOneAndUpdate(
+      { _id: req.params.id, likes: { $ne: req.user._id } },
+      { $push: { likes: req.user._id }, $inc: { likeCount: 1 } },
+      { new: true, timestamps: false }
+    ).select('likeCount userId title');
+    const project = liked || (await Project.findById(req.params.id).select('likeCount'));
     if (!project) return res.status(404).json({ error: 'Project not found' });
+    if (liked) {
+      recordInteractionLater(liked, 'likes', 1);
+      notifyLater({
+        userId: liked.userId,
+        type: 'project_liked',
+        actor: req.user,
+        title: 'New like',
+        message: `${req.user.name} liked your project "${liked.title}"`,
+        link: `/projects/${liked._id}`,
+        projectId: liked._id,
+      });
+    }
     res.json({
       liked: true,
-      likeCount: project.likes?.length || 0,
+      likeCount: project.likeCount,
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -26,88 +74,350 @@ router.post('/:id/like', authenticateToken, async (req, res) => {
 // Unlike project
 router.delete('/:id/like', authenticateToken, async (req, res) => {
   try {
-    const project = await Project.findByIdAndUpdate(
-      req.params.id,
-      { $pull: { likes: req.user._id } },
-      { new: true }
-    );
+    const unliked = await Project.findOneAndUpdate(
+      { _id: req.params.id, likes: req.user._id },
+      { $pull: { likes: req.user._id }, $inc: { likeCount: -1 } },
+      { new: true, timestamps: false }
+    ).select('likeCount userId');
+    const project = unliked || (await Project.findById(req.params.id).select('likeCount'));
     if (!project) return res.status(404).json({ error: 'Project not found' });
+    if (unliked) recordInteractionLater(unliked, 'likes', -1);
     res.json({
       liked: false,
-      likeCount: project.likes?.length || 0,
+      likeCount: project.likeCount,
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Add comment
+// List comments (public): top-level, newest first, each with its first replies. ?limit &cursor
+router.get('/:id/comments', optionalAuth, async (req, res) => {
+  try {
+    if (!mongoose.isValidObjectId(req.params.id) || !(await Project.exists({ _id: req.params.id }))) {
+      return res.status(404).json({ error: 'Project not found' });
+    }
+    const { limit, cursor } = req.query;
+    res.json(await listComments(req.params.id, { limit, cursor, viewerId: req.user?._id }));
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// List replies to a comment (public), oldest first. ?limit &cursor
+router.get('/:id/comments/:commentId/replies', optionalAuth, async (req, res) => {
+  try {
+    const { limit, cursor } = req.query;
+    const result = await listReplies(req.params.id, req.params.commentId, { limit, cursor, viewerId: req.user?._id });
+    if (!result) return res.status(404).json({ error: 'Comment not found' });
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Add comment. Body: { text, parentId? } - parentId replies to a comment
 router.post('/:id/comments', authenticateToken, async (req, res) => {
   try {
-    const { text } = req.body;
-    if (!text?.trim()) return res.status(400).json({ error: 'Comment text required' });
+    const result = await addComment({
+      projectId: req.params.id,
+      user: req.user,
+      text: req.body.text,
+      parentId: req.body.parentId,
+    });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.status(201).json({ comment: result.comment, commentCount: result.commentCount });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Edit comment (author only)
+router.patch('/:id/comments/:commentId', authenticateToken, async (req, res) => {
+  try {
+    const result = await editComment({
+      projectId: req.params.id,
+      commentId: req.params.commentId,
+      user: req.user,
+      text: req.body.text,
+    });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json({ comment: result.comment });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const comment = {
+// Delete comment (author or project owner); replies go with it
+router.delete('/:id/comments/:commentId', authenticateToken, async (req, res) => {
+  try {
+    const result = await deleteComment({
+      projectId: req.params.id,
+      commentId: req.params.commentId,
       userId: req.user._id,
-      userName: req.user.name,
-      text: text.trim(),
-    };
+    });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json({ success: true, removed: result.removed, commentCount: result.commentCount });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const project = await Project.findByIdAndUpdate(
-      req.params.id,
-      { $push: { comments: comment } },
-      { new: true }
-    );
-    if (!project) return res.status(404).json({ error: 'Project not found' });
+// Like / unlike comment
+router.post('/:id/comments/:commentId/like', authenticateToken, async (req, res) => {
+  try {
+    const result = await setCommentLike({
+      projectId: req.params.id,
+      commentId: req.params.commentId,
+      user: req.user,
+      liked: true,
+    });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json({ liked: true, likeCount: result.likeCount });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
 
-    const added = project.comments[project.comments.length - 1];
-    res.status(201).json({
-      comment: {
-        id: added._id,
-        userId: added.userId,
-        userName: added.userName,
-        text: added.text,
-        createdAt: added.createdAt,
-      },
-      commentCount: project.comments?.length || 0,
+router.delete('/:id/comments/:commentId/like', authenticateToken, async (req, res) => {
+  try {
+    const result = await setCommentLike({
+      projectId: req.params.id,
+      commentId: req.params.commentId,
+      user: req.user,
+      liked: false,
     });
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json({ liked: false, likeCount: result.likeCount });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Save project
+// Save project (listed by GET /api/users/me/saved)
 router.post('/:id/save', authenticateToken, async (req, res) => {
   try {
-    const project = await Project.findByIdAndUpdate(
-      req.params.id,
-      { $addToSet: { savedBy: req.user._id } },
-      { new: true }
-    );
-    if (!project) return res.status(404).json({ error: 'Project not found' });
+    const result = await saveProject(req.user._id, req.params.id);
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
     res.json({ saved: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
-// Unsave project
+// Unsave project (also removes it from your collections)
 router.delete('/:id/save', authenticateToken, async (req, res) => {
   try {
-    const project = await Project.findByIdAndUpdate(
-      req.params.id,
-      { $pull: { savedBy: req.user._id } },
-      { new: true }
-    );
-    if (!project) return res.status(404).json({ error: 'Project not found' });
+    const result = await unsaveProject(req.user._id, req.params.id);
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
     res.json({ saved: false });
   } catch (err) {
     res.status(500).json({ error: err.message });
   }
 });
 
+// Follow a project's live demo or code link (target: live-demo | code), counting the click for the
+// owner's analytics. Only ever redirects to the http(s) URL stored on the project.
+router.get(
+  '/:id/open/:target',
+  optionalAuth,
+  rateLimit({ name: 'project_open_ip', max: 120, windowMs: 60 * 1000, key: byIp }),
+  async (req, res) => {
+    try {
+      const click = CLICK_TARGETS[req.params.target];
+      if (!click) return res.status(404).json({ error: 'Unknown link' });
+      const project = await Project.findById(req.params.id).select(`userId ${click.field}`).lean();
+      if (!project) return res.status(404).json({ error: 'Project not found' });
+      const url = safeLinkUrl(project[click.field]);
+      if (!url) return res.status(404).json({ error: 'This project has no such link' });
+      recordClick(req, project, req.params.target).catch((err) =>
+        console.error('Project click tracking failed:', err?.message)
+      );
+      res.redirect(302, url);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
+// Views, unique viewers, outbound clicks, likes and saves per day (owner only). ?from &to (dates, default last 30 days)
+router.get('/:id/analytics', authenticateToken, async (req, res) => {
+  try {
+    const report = await projectAnalytics({
+      projectId: req.params.id,
+      userId: req.user._id,
+      from: req.query.from,
+      to: req.query.to,
+    });
+    res.json(report);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Arrange your own projects on your profile.
+// Body: { projectIds: [every one of your project ids, in order], pinned?: [up to MAX_PINNED_PROJECTS ids] }
+router.put('/order', authenticateWithScope('projects:write'), async (req, res) => {
+  try {
+    const result = await reorderProjects(req.user._id, req.body.projectIds, req.body.pinned);
+    if (!result.ok) return res.status(result.status).json({ error: result.error });
+    res.json({ projects: result.projects, maxPinned: MAX_PINNED_PROJECTS });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Edit project (owner only). Multipart or JSON; every field is optional:
+//   title, description, liveDemoUrl, codeUrl, tags, category
+//   media      - new files, appended to the gallery unless mediaOrder places them
+//   mediaMeta  - JSON array of { caption } for the new files, in upload order
+//   mediaOrder - the gallery after the edit (JSON array): existing media URLs, and "new:<i>" for the
+//                i-th uploaded file. Existing items left out are removed and deleted from Cloudinary.
+//   captions   - JSON object { "<existing media URL>": "caption" }
+//   cover      - an existing media URL or "new:<i>"
+router.patch(
+  '/:id',
+  authenticateWithScope('projects:write'),
+  acceptUploads(upload.array('media', MAX_PROJECT_MEDIA)),
+  async (req, res) => {
+    const files = req.files || [];
+    let uploaded = [];
+    const fail = (status, error) => {
+      discardUploads(files);
+      return res.status(status).json({ error });
+    };
+
+    try {
+      const project = await Project.findById(req.params.id);
+      if (!project) return fail(404, 'Project not found');
+      if (project.userId?.toString() !== req.user._id.toString()) {
+        return fail(403, 'You can only edit your own projects');
+      }
+
+      const { title, description, liveDemoUrl, codeUrl } = req.body;
+      if (title !== undefined) {
+        if (!String(title).trim()) return fail(400, 'Title is required');
+        project.title = String(title).trim();
+      }
+      if (description !== undefined) {
+        if (!String(description).trim()) return fail(400, 'Description is required');
+        project.description = String(description).trim();
+      }
+      if (liveDemoUrl !== undefined) {
+        const { url, error } = parseLinkUrl(liveDemoUrl, 'liveDemoUrl');
+        if (error) return fail(400, error);
+        project.liveDemoUrl = url;
+      }
+      if (codeUrl !== undefined) {
+        const { url, error } = parseLinkUrl(codeUrl, 'codeUrl');
+        if (error) return fail(400, error);
+        project.codeUrl = url;
+      }
+
+      if (req.body.tags !== undefined) {
+        const { tags, error } = parseTags(req.body.tags);
+        if (error) return fail(400, error);
+        project.tags = tags;
+      }
+      if (req.body.category !== undefined) {
+        const { category, error } = parseCategory(req.body.category);
+        if (error) return fail(400, error);
+        project.category = category;
+      }
+
+      /* ---------- Media ---------- */
+      const { mediaOrder, captions, cover } = req.body;
+      let removed = [];
+      if (files.length || mediaOrder !== undefined || captions !== undefined || cover !== undefined) {
+        const existing = new Map(project.media.map((m) => [m.url, m]));
+
+        let layout = [...existing.keys(), ...files.map((_, i) => `new:${i}`)];
+        if (mediaOrder !== undefined) {
+          layout = parseJsonField(mediaOrder);
+          if (!Array.isArray(layout)) return fail(400, 'mediaOrder must be a JSON array');
+        }
+        const placed = new Set();
+        for (const ref of layout) {
+          if (typeof ref !== 'string' || placed.has(ref)) return fail(400, 'Invalid mediaOrder');
+          const index = newFileIndex(ref);
+          if (index !== null ? index >= files.length : !existing.has(ref)) {
+            return fail(400, `Unknown media item: ${ref}`);
+          }
+          placed.add(ref);
+        }
+        if (files.some((_, i) => !placed.has(`new:${i}`))) {
+          return fail(400, 'Every uploaded file must be placed in mediaOrder');
+        }
+        if (layout.length === 0) return fail(400, 'A project needs at least one media item');
+        if (layout.length > MAX_PROJECT_MEDIA) {
+          return fail(400, `A project can have at most ${MAX_PROJECT_MEDIA} media items`);
+        }
+
+        const captionUpdates = captions === undefined ? {} : parseJsonField(captions);
+        if (!captionUpdates || typeof captionUpdates !== 'object' || Array.isArray(captionUpdates)) {
+          return fail(400, 'captions must be a JSON object keyed by media URL');
+        }
+
+        const coverPosition = cover === undefined ? null : layout.indexOf(cover);
+        if (coverPosition === -1) return fail(400, 'cover must be one of the media items');
+
+        const { meta, error: metaError } = parseMediaMeta(req.body.mediaMeta, files.length);
+        if (metaError) return fail(400, metaError);
+
+        const kept = project.media.filter((m) => placed.has(m.url));
+        if (galleryBytes(kept, files) > MAX_PROJECT_MEDIA_BYTES) {
+          return fail(400, `Media can total at most ${Math.round(MAX_PROJECT_MEDIA_BYTES / 1024 / 1024)} MB per project`);
+        }
+
+        // Upload only once the edit is known to be valid
+        uploaded = (await uploadGallery(files, meta)) || [];
+        if (uploaded.length < files.length) {
+          return res.status(500).json({ error: 'Media upload failed' });
+        }
+
+        removed = project.media.filter((m) => !placed.has(m.url));
+        const gallery = layout.map((ref) => {
+          const index = newFileIndex(ref);
+          if (index !== null) return uploaded[index];
+          const item = existing.get(ref).toObject();
+          if (typeof captionUpdates[ref] === 'string') {
+            item.caption = captionUpdates[ref].trim().slice(0, MAX_CAPTION_LENGTH);
+          }
+          return item;
+        });
+        project.media = setCover(gallery, coverPosition ?? undefined);
+      }
+
+      await project.save();
+      // Replaced assets are deleted only after the save, so a failed edit never loses media
+      await Promise.all(removed.map((m) => destroyMedia({ url: m.url })));
+
+      res.json({
+        id: project._id.toString(),
+        title: project.title,
+        description: project.description,
+        media: project.media,
+        liveDemoUrl: project.liveDemoUrl,
+        codeUrl: project.codeUrl,
+        tags: project.tags,
+        category: project.category,
+        order: project.order,
+        pinned: project.pinned,
+        createdAt: project.createdAt,
+        updatedAt: project.updatedAt,
+      });
+    } catch (err) {
+      discardUploads(files);
+      await Promise.all(uploaded.map((m) => destroyMedia({ url: m.url })));
+      console.error(err);
+      res.status(500).json({ error: err.message });
+    }
+  }
+);
+
 // Delete project (owner only)
-router.delete('/:id', authenticateToken, async (req, res) => {
+router.delete('/:id', authenticateWithScope('projects:write'), async (req, res) => {
   try {
     const project = await Project.findById(req.params.id);
     if (!project) return res.status(404).json({ error: 'Project not found' });
@@ -115,6 +425,10 @@ router.delete('/:id', authenticateToken, async (req, res) => {
       return res.status(403).json({ error: 'You can only delete your own projects' });
     }
     await Project.findByIdAndDelete(req.params.id);
+    await closeOrderGap(project);
+    await deleteProjectComments([project._id]);
+    await deleteProjectSaves([project._id]);
+    await deleteProjectAnalytics([project._id]);
     res.json({ success: true });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -0,0 +1,238 @@
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import User from '../models/User.js';
+import { authenticateToken } from '../middleware/auth.js';
+import { rateLimit, byUser } from '../middleware/rateLimit.js';
+import { loginLockRemaining, recordLoginFailure, clearLoginFailures } from '../services/rateLimit.js';
+import { issueSession, hashToken, markSessionTwoFactorVerified } from '../services/session.js';
+import {
+  generateTotpSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  generateBackupCodes,
+  normalizeBackupCode,
+} from '../services/totp.js';
+
+const router = express.Router();
+const CHALLENGE_TTL = '5m';
+// Guesses by signed-in users (step-up, disable, backup codes)
+const codeAttemptLimit = rateLimit({ name: 'two_factor_user', max: 10, windowMs: 15 * 60 * 1000, key: byUser });
+const SECRET_FIELDS = '+twoFactor.secret +twoFactor.pendingSecret +twoFactor.backupCodes +twoFactor.lastUsedStep';
+
+/** Short-lived token proving the password step of a 2FA login succeeded. */
+export function signTwoFactorChallenge(userId) {
+  return jwt.sign({ userId, purpose: '2fa_challenge' }, process.env.JWT_SECRET, { expiresIn: CHALLENGE_TTL });
+}
+
+/**
+ * Check a TOTP or backup code for a user with 2FA enabled. Used codes can't be replayed:
+ * the TOTP time step is remembered and backup codes are removed.
+ * @returns {Promise<{ ok: boolean, method?: 'totp'|'backup' }>}
+ */
+async function verifySecondFactor(userId, code) {
+  const user = await User.findById(userId).select(SECRET_FIELDS);
+  if (!user?.twoFactor?.enabled || !user.twoFactor.secret) return { ok: false };
+
+  const step = verifyTotp(decryptSecret(user.twoFactor.secret), code, { afterStep: user.twoFactor.lastUsedStep });
+  if (step != null) {
+    const updated = await User.updateOne(
+      { _id: user._id, 'twoFactor.lastUsedStep': { $lt: step } },
+      { $set: { 'twoFactor.lastUsedStep': step } }
+    );
+    return updated.modifiedCount > 0 ? { ok: true, method: 'totp' } : { ok: false };
+  }
+
+  const normalized = normalizeBackupCode(code);
+  if (normalized.length !== 8) return { ok: false };
+  const removed = await User.updateOne(
+    { _id: user._id, 'twoFactor.backupCodes': hashToken(normalized) },
+    { $pull: { 'twoFactor.backupCodes': hashToken(normalized) } }
+  );
+  return removed.modifiedCount > 0 ? { ok: true, method: 'backup' } : { ok: false };
+}
+
+function hashBackupCodes(codes) {
+  return codes.map((c) => hashToken(normalizeBackupCode(c)));
+}
+
+// 2FA status for the current user
+router.get('/', authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS).lean();
+    res.json({
+      enabled: !!user.twoFactor?.enabled,
+      enabledAt: user.twoFactor?.enabledAt || null,
+      backupCodesRemaining: user.twoFactor?.backupCodes?.length || 0,
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Start enrolment - returns a secret and otpauth URI for the authenticator app
+router.post('/setup', authenticateToken, async (req, res) => {
+  try {
+    if (req.user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    const secret = generateTotpSecret();
+    await User.findByIdAndUpdate(req.user._id, { $set: { 'twoFactor.pendingSecret': encryptSecret(secret) } });
+
+    const accountName = req.user.email || req.user.phone || req.user.username || req.user._id.toString();
+    res.json({ secret, otpauthUri: buildOtpauthUri({ secret, accountName }) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Confirm enrolment with a code from the app - enables 2FA and returns backup codes (shown once)
+router.post('/confirm', authenticateToken, codeAttemptLimit, async (req, res) => {
+  try {
+    const { code } = req.body;
+    const user = await User.findById(req.user._id).select(SECRET_FIELDS);
+    if (user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor?.pendingSecret) {
+      return res.status(400).json({ error: 'Start two-factor setup first' });
+    }
+
+    const secret = decryptSecret(user.twoFactor.pendingSecret);
+    const step = verifyTotp(secret, code);
+    if (step == null) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+
+    const backupCodes = generateBackupCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = null;
+    user.twoFactor.backupCodes = hashBackupCodes(backupCodes);
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save();
+
+    await markSessionTwoFactorVerified(req.sessionId);
+    res.json({ success: true, enabled: true, backupCodes });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Disable 2FA (requires a current TOTP or backup code)
+router.post('/disable', authenticateToken, codeAttemptLimit, async (req, res) => {
+  try {
+    const result = await verifySecondFactor(req.user._id, req.body.code);
+    if (!result.ok) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+    await User.findByIdAndUpdate(req.user._id, {
+      $set: {
+        'twoFactor.enabled': false,
+        'twoFactor.secret': null,
+        'twoFactor.pendingSecret': null,
+        'twoFactor.backupCodes': [],
+        'twoFactor.lastUsedStep': -1,
+        'twoFactor.enabledAt': null,
+      },
+    });
+    res.json({ success: true, enabled: false });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Replace backup codes (requires a current TOTP or backup code)
+router.post('/backup-codes', authenticateToken, codeAttemptLimit, async (req, res) => {
+  try {
+    const result = await verifySecondFactor(req.user._id, req.body.code);
+    if (!result.ok) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+    const backupCodes = generateBackupCodes();
+    await User.findByIdAndUpdate(req.user._id, { $set: { 'twoFactor.backupCodes': hashBackupCodes(backupCodes) } });
+    res.json({ backupCodes });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Step-up check for sensitive actions (escrow payments) on the current session
+router.post('/verify', authenticateToken, codeAttemptLimit, async (req, res) => {
+  try {
+    if (!req.user.twoFactor?.enabled) {
+      return res.status(400).json({ error: 'Two-factor authentication is not enabled' });
+    }
+    const result = await verifySecondFactor(req.user._id, req.body.code);
+    if (!result.ok) {
+      return res.status(400).json({ error: 'Invalid code' });
+    }
+    await markSessionTwoFactorVerified(req.sessionId);
+    res.json({ success: true, method: result.method });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Second step of login for accounts with 2FA - exchanges the challenge token + code for a session
+router.post('/login', rateLimit({ name: 'two_factor_login_ip', max: 30, windowMs: 15 * 60 * 1000 }), async (req, res) => {
+  try {
+    const { challengeToken, code } = req.body;
+    if (!challengeToken || !code) {
+      return res.status(400).json({ error: 'challengeToken and code are required' });
+    }
+
+    let decoded;
+    try {
+      decoded = jwt.verify(challengeToken, process.env.JWT_SECRET);
+    } catch {
+      return res.status(401).json({ error: 'Login challenge expired. Please sign in again.' });
+    }
+    if (decoded.purpose !== '2fa_challenge') {
+      return res.status(401).json({ error: 'Invalid login challenge' });
+    }
+
+    const lockState = await User.findById(decoded.userId).select('+loginLockedUntil').lean();
+    const lockedFor = loginLockRemaining(lockState);
+    if (lockedFor) {
+      res.set('Retry-After', String(lockedFor));
+      return res.status(429).json({ error: 'Too many failed attempts. Account temporarily locked.', retryAfter: lockedFor });
+    }
+
+    // Wrong codes count towards the same lockout as wrong passwords
+    const result = await verifySecondFactor(decoded.userId, code);
+    if (!result.ok) {
+      const failure = await recordLoginFailure(decoded.userId);
+      if (failure.locked) {
+        res.set('Retry-After', String(failure.retryAfter));
+        return res.status(429).json({ error: 'Too many failed attempts. Account temporarily locked.', retryAfter: failure.retryAfter });
+      }
+      return res.status(401).json({ error: 'Invalid code' });
+    }
+
+    const user = await User.findById(decoded.userId);
+    if (!user) return res.status(401).json({ error: 'User not found' });
+    await clearLoginFailures(user._id);
+
+    const { token, refreshToken } = await issueSession(user, req, { twoFactorVerified: true });
+    res.json({
+      token,
+      refreshToken,
+      user: {
+        id: user._id.toString(),
+        name: user.name,
+        username: user.username || (user.email && user.email.split('@')[0]) || '',
+        email: user.email,
+        phone: user.phone,
+        profilePhoto: user.profilePhoto,
+      },
+    });
+  } catch (err) {
+    console.error('2FA login error:', err);
+    res.status(500).json({ error: err.message || 'Login failed' });
+  }
+});
+
+export default router;
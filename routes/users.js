@@ -6,14 +6,52 @@ import { fileURLToPath } from "url";
 import { v4 as uuidv4 } from "uuid";
 import cloudinary from "../cloudinary.js";
 
-import { authenticateToken } from "../middleware/auth.js";
+import {
+  authenticateToken,
+  authenticateWithScope,
+  optionalAuth,
+  requireRecentTwoFactor,
+} from "../middleware/auth.js";
 import User from "../models/User.js";
 import UserCard from "../models/UserCard.js";
 import Project from "../models/Project.js";
 import FollowRequest from "../models/FollowRequest.js";
 import EscrowProject from "../models/EscrowProject.js";
-import { sendFollowRequestEmail } from "../services/email.js";
-import { sendPushToUser } from "../services/push.js";
+import {
+  sendFollowRequestEmail,
+  sendContactChangedEmail,
+} from "../services/email.js";
+import { notifyLater } from "../services/notifications.js";
+import { syncProjectAuthor } from "../services/projectFeed.js";
+import { PROFILE_PROJECT_SORT } from "../services/projectOrder.js";
+import {
+  listSaved,
+  listCollections,
+  createCollection,
+  updateCollection,
+  deleteCollection,
+  getCollection,
+  addToCollection,
+  removeFromCollection,
+  reorderCollection,
+} from "../services/savedProjects.js";
+import { profileAnalytics } from "../services/projectAnalytics.js";
+import { sendSms, validatePhoneNumber } from "../services/sms.js";
+import {
+  issueOtp,
+  verifyOtp,
+  discardOtp,
+  deliverOtp,
+  sendOtpError,
+} from "../services/otp.js";
+import { rateLimit, byUser } from "../middleware/rateLimit.js";
+import { revokeUserSessions } from "../services/session.js";
+import { revokeUserAccessTokens } from "../services/accessTokens.js";
+import {
+  exportUserData,
+  ACCOUNT_DELETION_GRACE_DAYS,
+  OPEN_ESCROW_STATUSES,
+} from "../services/accountData.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -62,7 +100,7 @@ const uploadAvatarToCloudinary = async (buffer) => {
 };
 
 // Get current user profile - must be before /:id
-router.get("/me", authenticateToken, async (req, res) => {
+router.get("/me", authenticateWithScope("profile:read"), async (req, res) => {
   try {
     const user = await User.findById(req.user._id)
       .select("-password")
@@ -84,6 +122,180 @@ router.get("/me", authenticateToken, async (req, res) => {
   }
 });
 
+// My saved projects, most recently saved first. Query: limit, cursor (nextCursor of the previous page)
+router.get("/me/saved", authenticateToken, async (req, res) => {
+  try {
+    const result = await listSaved(req.user._id, {
+      limit: req.query.limit,
+      cursor: req.query.cursor,
+    });
+    res.json(result);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Analytics across all my projects: totals, a daily series and per-project totals.
+// Query: from, to (dates, default the last 30 days)
+router.get("/me/analytics", authenticateToken, async (req, res) => {
+  try {
+    const report = await profileAnalytics({
+      userId: req.user._id,
+      from: req.query.from,
+      to: req.query.to,
+    });
+    res.json(report);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// My collections (private and public)
+router.get("/me/collections", authenticateToken, async (req, res) => {
+  try {
+    res.json({ collections: await listCollections(req.user._id) });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Create a collection. Body: { name, description?, isPublic? }
+router.post("/me/collections", authenticateToken, async (req, res) => {
+  try {
+    const result = await createCollection(req.user._id, req.body);
+    if (!result.ok)
+      return res.status(result.status).json({ error: result.error });
+    res.status(201).json(result.collection);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Rename / describe a collection or change its visibility
+router.patch(
+  "/me/collections/:collectionId",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const result = await updateCollection(
+        req.user._id,
+        req.params.collectionId,
+        req.body,
+      );
+      if (!result.ok)
+        return res.status(result.status).json({ error: result.error });
+      res.json(result.collection);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Delete a collection (its projects stay saved)
+router.delete(
+  "/me/collections/:collectionId",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const result = await deleteCollection(
+        req.user._id,
+        req.params.collectionId,
+      );
+      if (!result.ok)
+        return res.status(result.status).json({ error: result.error });
+      res.json({ success: true });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// One of my collections with its projects. Query: limit, cursor
+router.get(
+  "/me/collections/:collectionId",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const result = await getCollection(
+        req.user._id,
+        req.params.collectionId,
+        {
+          viewerId: req.user._id,
+          limit: req.query.limit,
+          cursor: req.query.cursor,
+        },
+      );
+      if (!result.ok)
+        return res.status(result.status).json({ error: result.error });
+      const { ok, ...body } = result;
+      res.json(body);
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Add a project to a collection (saves it too). Body: { projectId }
+router.post(
+  "/me/collections/:collectionId/items",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const result = await addToCollection(
+        req.user._id,
+        req.params.collectionId,
+        req.body.projectId,
+      );
+      if (!result.ok)
+        return res.status(result.status).json({ error: result.error });
+      res.json({ success: true, itemCount: result.itemCount });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Rearrange a collection. Body: { projectIds: [every project in it, in order] }
+router.put(
+  "/me/collections/:collectionId/items/order",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const result = await reorderCollection(
+        req.user._id,
+        req.params.collectionId,
+        req.body.projectIds,
+      );
+      if (!result.ok)
+        return res.status(result.status).json({ error: result.error });
+      res.json({ success: true, projectIds: result.projectIds });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Remove a project from a collection (it stays saved)
+router.delete(
+  "/me/collections/:collectionId/items/:projectId",
+  authenticateToken,
+  async (req, res) => {
+    try {
+      const result = await removeFromCollection(
+        req.user._id,
+        req.params.collectionId,
+        req.params.projectId,
+      );
+      if (!result.ok)
+        return res.status(result.status).json({ error: result.error });
+      res.json({ success: true, itemCount: result.itemCount });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
 // Get my connections (for chat list) - must be before /:id
 router.get("/connections/list", authenticateToken, async (req, res) => {
   try {
@@ -110,20 +322,24 @@ router.get("/:id", async (req, res) => {
     let user = null;
     if (isMongoId) {
       user = await User.findById(param)
-        .select("name username profilePhoto bio")
+        .select("name username profilePhoto bio deletionScheduledFor")
         .populate("followers", "name profilePhoto")
         .populate("following", "name profilePhoto");
     }
     if (!user) {
       user = await User.findOne({ username: param.toLowerCase().trim() })
-        .select("name username profilePhoto bio")
+        .select("name username profilePhoto bio deletionScheduledFor")
         .populate("followers", "name profilePhoto")
         .populate("following", "name profilePhoto");
     }
-    if (!user) return res.status(404).json({ error: "User not found" });
+    // Accounts pending deletion are hidden from everyone else
+    if (!user || user.deletionScheduledFor) {
+      return res.status(404).json({ error: "User not found" });
+    }
 
+    // Pinned first, then the owner's own order (PUT /api/projects/order)
     const projects = await Project.find({ userId: user._id })
-      .sort({ createdAt: -1 })
+      .sort(PROFILE_PROJECT_SORT)
       .lean();
 
     const formatted = projects.map((p) => ({
@@ -133,9 +349,11 @@ router.get("/:id", async (req, res) => {
       media: p.media,
       liveDemoUrl: p.liveDemoUrl || "",
       codeUrl: p.codeUrl || "",
+      order: p.order,
+      pinned: !!p.pinned,
       likeCount: p.likes?.length || 0,
-      commentCount: p.comments?.length || 0,
-      comments: p.comments || [],
+      // comments are paginated separately: GET /api/projects/:id/comments
+      commentCount: p.commentCount || 0,
       likes: p.likes?.map((id) => id.toString()) || [],
       savedBy: p.savedBy?.map((id) => id.toString()) || [],
       // number of pending project offers addressed to this user (per-profile)
@@ -163,6 +381,8 @@ router.get("/:id", async (req, res) => {
       followerCount: user.followers?.length || 0,
       followingCount: user.following?.length || 0,
       projects: formatted,
+      // Public collections only; open one with GET /api/users/:id/collections/:collectionId
+      collections: await listCollections(user._id, { publicOnly: true }),
     });
   } catch (err) {
     res.status(500).json({ error: err.message });
@@ -218,6 +438,11 @@ router.put(
         runValidators: true,
       }).select("-password");
 
+      await syncProjectAuthor(req.user._id, {
+        name: updates.name,
+        username: updates.username,
+      });
+
       // Sync UserCard with User (name, username, profilePhoto)
       const cardUpdates = {};
       if (updates.name) cardUpdates.fullName = updates.name;
@@ -247,6 +472,286 @@ router.put(
   },
 );
 
+/* ---------- Email / phone change (verified with a code sent to the new address) ---------- */
+
+// Normalize a requested contact change; returns { field, value } or { error }
+function parseContactChange(body) {
+  const { email, phone } = body || {};
+  if (!email && !phone) return { error: "Email or phone number is required" };
+  if (email && phone)
+    return { error: "Please provide either email or phone, not both" };
+  if (email) {
+    const value = String(email).toLowerCase().trim();
+    if (!value.includes("@") || value.endsWith("@google.placeholder")) {
+      return { error: "Valid email is required" };
+    }
+    return { field: "email", value };
+  }
+  const phoneValidation = validatePhoneNumber(String(phone));
+  if (!phoneValidation.valid) return { error: phoneValidation.error };
+  return { field: "phone", value: phoneValidation.cleaned };
+}
+
+async function isContactTaken(field, value, userId) {
+  return !!(await User.exists({ [field]: value, _id: { $ne: userId } }));
+}
+
+// Request a change - sends a code to the new email / phone
+router.post(
+  "/me/contact/change",
+  authenticateToken,
+  rateLimit({
+    name: "contact_change_user",
+    max: 5,
+    windowMs: 60 * 60 * 1000,
+    key: byUser,
+  }),
+  async (req, res) => {
+    try {
+      const change = parseContactChange(req.body);
+      if (change.error) return res.status(400).json({ error: change.error });
+      const { field, value } = change;
+
+      const user = await User.findById(req.user._id);
+      if (user.password) {
+        const { currentPassword } = req.body;
+        if (
+          !currentPassword ||
+          !(await user.comparePassword(currentPassword))
+        ) {
+          return res
+            .status(401)
+            .json({ error: "Current password is incorrect" });
+        }
+      }
+      if (user[field] === value) {
+        return res
+          .status(400)
+          .json({ error: `This ${field} is already on your account` });
+      }
+      if (await isContactTaken(field, value, user._id)) {
+        return res.status(400).json({
+          error:
+            field === "email"
+              ? "Email already registered"
+              : "Phone number already registered",
+        });
+      }
+
+      const identifier = user._id.toString();
+      const purpose = `change_${field}`;
+      const issued = await issueOtp({
+        identifier,
+        purpose,
+        channel: field,
+        metadata: { value },
+      });
+      if (!issued.ok) return sendOtpError(res, issued);
+
+      const result = await deliverOtp({
+        channel: field,
+        to: value,
+        otp: issued.otp,
+      });
+      if (!result.sent) {
+        await discardOtp({ identifier, purpose });
+        return res
+          .status(503)
+          .json({ error: result.error || "Failed to send verification code" });
+      }
+
+      res.json({
+        success: true,
+        type: field,
+        message: `Code sent to your new ${field}`,
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Confirm a change with the code - the new value is saved as verified and the old one notified
+router.post("/me/contact/confirm", authenticateToken, async (req, res) => {
+  try {
+    const { type, otp } = req.body;
+    if (!["email", "phone"].includes(type)) {
+      return res.status(400).json({ error: "type must be email or phone" });
+    }
+    if (!otp) return res.status(400).json({ error: "OTP is required" });
+
+    const verified = await verifyOtp({
+      identifier: req.user._id.toString(),
+      purpose: `change_${type}`,
+      code: otp,
+    });
+    if (!verified.ok) return sendOtpError(res, verified);
+
+    const value = verified.metadata?.value;
+    if (!value) {
+      return res
+        .status(400)
+        .json({ error: "OTP expired or not sent. Please request a new OTP." });
+    }
+    if (await isContactTaken(type, value, req.user._id)) {
+      return res.status(400).json({
+        error:
+          type === "email"
+            ? "Email already registered"
+            : "Phone number already registered",
+      });
+    }
+
+    const user = await User.findById(req.user._id);
+    const previous = { email: user.email, phone: user.phone };
+    user[type] = value;
+    user[type === "email" ? "emailVerified" : "phoneVerified"] = true;
+    await user.save();
+
+    // Tell the previous address, in case the change wasn't made by the owner
+    if (
+      type === "email" &&
+      previous.email &&
+      !previous.email.endsWith("@google.placeholder")
+    ) {
+      sendContactChangedEmail({
+        toEmail: previous.email,
+        toName: user.name,
+        field: "email",
+        newValue: value,
+      }).catch((err) =>
+        console.error("Contact change email failed:", err?.message),
+      );
+    }
+    if (type === "phone" && previous.phone) {
+      sendSms({
+        toPhone: previous.phone,
+        body: `The phone number on your ProWorkers account was changed. If this wasn't you, reset your password now.`,
+      }).catch((err) =>
+        console.error("Contact change SMS failed:", err?.message),
+      );
+    }
+
+    res.json({
+      success: true,
+      user: {
+        id: user._id.toString(),
+        email: user.email,
+        emailVerified: user.emailVerified,
+        phone: user.phone,
+        phoneVerified: user.phoneVerified,
+      },
+    });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
+// Download everything stored about the current user as a JSON file
+router.get(
+  "/me/export",
+  authenticateToken,
+  rateLimit({
+    name: "data_export_user",
+    max: 5,
+    windowMs: 60 * 60 * 1000,
+    key: byUser,
+  }),
+  async (req, res) => {
+    try {
+      const data = await exportUserData(req.user._id);
+      if (!data) return res.status(404).json({ error: "User not found" });
+      const date = new Date().toISOString().slice(0, 10);
+      res.set(
+        "Content-Disposition",
+        `attachment; filename="account-export-${date}.json"`,
+      );
+      res.type("application/json").send(JSON.stringify(data, null, 2));
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Request account deletion - purged after the grace period unless cancelled.
+// Confirm with the password, or the username for accounts without one.
+router.delete(
+  "/me",
+  authenticateToken,
+  requireRecentTwoFactor,
+  async (req, res) => {
+    try {
+      const user = await User.findById(req.user._id);
+      if (user.deletionScheduledFor) {
+        return res.status(400).json({
+          error: "Account deletion is already scheduled",
+          deletionScheduledFor: user.deletionScheduledFor,
+        });
+      }
+      if (user.password) {
+        const { password } = req.body;
+        if (!password || !(await user.comparePassword(password))) {
+          return res.status(401).json({ error: "Password is incorrect" });
+        }
+      } else if (
+        !req.body.confirmUsername ||
+        req.body.confirmUsername.toLowerCase().trim() !== user.username
+      ) {
+        return res
+          .status(400)
+          .json({ error: "Type your username to confirm deletion" });
+      }
+
+      const openEscrow = await EscrowProject.countDocuments({
+        $or: [{ clientId: user._id }, { workerId: user._id }],
+        status: { $in: OPEN_ESCROW_STATUSES },
+      });
+      if (openEscrow > 0) {
+        return res.status(409).json({
+          error:
+            "Finish or cancel your active escrow projects before deleting your account",
+          activeEscrowProjects: openEscrow,
+        });
+      }
+
+      const now = new Date();
+      user.deletionRequestedAt = now;
+      user.deletionScheduledFor = new Date(
+        now.getTime() + ACCOUNT_DELETION_GRACE_DAYS * 24 * 60 * 60 * 1000,
+      );
+      await user.save();
+      await revokeUserSessions(user._id, { reason: "account_deletion" });
+      await revokeUserAccessTokens(user._id);
+
+      res.json({
+        success: true,
+        deletionScheduledFor: user.deletionScheduledFor,
+        message: `Your account will be deleted in ${ACCOUNT_DELETION_GRACE_DAYS} days. Sign in and cancel before then to keep it.`,
+      });
+    } catch (err) {
+      res.status(500).json({ error: err.message });
+    }
+  },
+);
+
+// Cancel a pending account deletion
+router.post("/me/deletion/cancel", authenticateToken, async (req, res) => {
+  try {
+    const user = await User.findById(req.user._id);
+    if (!user.deletionScheduledFor) {
+      return res
+        .status(400)
+        .json({ error: "No account deletion is scheduled" });
+    }
+    user.deletionRequestedAt = null;
+    user.deletionScheduledFor = null;
+    await user.save();
+    res.json({ success: true });
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Follow request (Instagram-style: creates "requested" until accepted)
 router.post("/:id/follow", authenticateToken, async (req, res) => {
   try {
@@ -287,17 +792,14 @@ router.post("/:id/follow", authenticateToken, async (req, res) => {
       fromName: req.user.name,
     });
 
-    sendPushToUser(targetId, {
+    notifyLater({
+      userId: target._id,
+      type: "follow_request",
+      actor: req.user,
       title: "Follow request",
-      body: `${req.user.name} wants to follow you`,
-      data: {
-        type: "follow_request",
-        fromUserId: req.user._id.toString(),
-        fromName: req.user.name,
-      },
-    }).catch((err) =>
-      console.error("Push (follow request) failed:", err?.message),
-    );
+      message: `${req.user.name} wants to follow you`,
+      link: `/users/${req.user._id}`,
+    });
 
     res.json({ success: true, requested: true });
   } catch (err) {
@@ -374,6 +876,15 @@ router.post(
         $addToSet: { followers: request.fromUserId },
       });
 
+      notifyLater({
+        userId: request.fromUserId,
+        type: "follow_accepted",
+        actor: req.user,
+        title: "Follow request accepted",
+        message: `${req.user.name} accepted your follow request`,
+        link: `/users/${req.user._id}`,
+      });
+
       res.json({ success: true, following: true });
     } catch (err) {
       res.status(500).json({ error: err.message });
@@ -442,6 +953,23 @@ router.get("/:id/following", async (req, res) => {
   }
 });
 
+// A user's public collection with its projects (the owner also sees private ones). Query: limit, cursor
+router.get("/:id/collections/:collectionId", optionalAuth, async (req, res) => {
+  try {
+    const result = await getCollection(req.params.id, req.params.collectionId, {
+      viewerId: req.user?._id,
+      limit: req.query.limit,
+      cursor: req.query.cursor,
+    });
+    if (!result.ok)
+      return res.status(result.status).json({ error: result.error });
+    const { ok, ...body } = result;
+    res.json(body);
+  } catch (err) {
+    res.status(500).json({ error: err.message });
+  }
+});
+
 // Connect with user (both ways - can message each other)
 router.post("/:id/connect", authenticateToken, async (req, res) => {
   try {
@@ -453,12 +981,24 @@ router.post("/:id/connect", authenticateToken, async (req, res) => {
     const target = await User.findById(targetId).select("name profilePhoto");
     if (!target) return res.status(404).json({ error: "User not found" });
 
-    await User.findByIdAndUpdate(req.user._id, {
-      $addToSet: { connections: targetId },
-    });
+    // Only a new connection notifies; connecting again is a no-op
+    const added = await User.findOneAndUpdate(
+      { _id: req.user._id, connections: { $ne: target._id } },
+      { $addToSet: { connections: target._id } },
+    ).select("_id");
     await User.findByIdAndUpdate(targetId, {
       $addToSet: { connections: req.user._id },
     });
+    if (added) {
+      notifyLater({
+        userId: target._id,
+        type: "connection",
+        actor: req.user,
+        title: "New connection",
+        message: `${req.user.name} connected with you`,
+        link: `/users/${req.user._id}`,
+      });
+    }
 
     res.json({
       success: true,
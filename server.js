@@ -1,20 +1,18 @@
 import 'dotenv/config';
 import express from 'express';
 import cors from 'cors';
-import multer from 'multer';
-import path from 'path';
 import fs from 'fs';
 import mongoose from 'mongoose';
-import { fileURLToPath } from 'url';
-import { v4 as uuidv4 } from 'uuid';
-import cloudinary from './cloudinary.js';
+import cloudinary, { destroyMedia } from './cloudinary.js';
 
 import passport from 'passport';
 import authRoutes, { initPassport } from './routes/auth.js';
+import twoFactorRoutes from './routes/twoFactor.js';
+import accessTokenRoutes from './routes/accessTokens.js';
 import userRoutes from './routes/users.js';
 import projectRoutes from './routes/projects.js';
 import messageRoutes from './routes/messages.js';
-import { authenticateToken } from './middleware/auth.js';
+import { authenticateToken, authenticateWithScope, optionalAuth } from './middleware/auth.js';
 import Project from './models/Project.js';
 import User from './models/User.js';
 import locationRoutes from './routes/location.js';
@@ -23,9 +21,34 @@ import feedbackRoutes from './routes/feedback.js';
 import presenceRoutes from './routes/presence.js';
 import escrowRoutes from './routes/escrow.js';
 import notificationRoutes from './routes/notifications.js';
-
-const __filename = fileURLToPath(import.meta.url);
-const __dirname = path.dirname(__filename);
+import adminRoutes from './routes/admin.js';
+import githubRoutes from './routes/github.js';
+import { processScheduledDeletions } from './services/accountData.js';
+import {
+  listProjects,
+  searchProjects,
+  creatorLocationFor,
+  syncCreatorLocation,
+  authorFieldsFor,
+  syncProjectAuthor,
+  backfillProjectFeedFields,
+} from './services/projectFeed.js';
+import { parseTags, parseCategory, popularTags, categoryCounts, PROJECT_CATEGORIES } from './services/projectTags.js';
+import {
+  MAX_PROJECT_MEDIA,
+  MAX_PROJECT_MEDIA_BYTES,
+  parseMediaMeta,
+  galleryBytes,
+  setCover,
+} from './services/projectMedia.js';
+import { upload, uploadOnCloudinary, discardUploads, acceptUploads, uploadGallery, newFileIndex } from './services/uploads.js';
+import { placeNewProject, normalizeProjectOrders } from './services/projectOrder.js';
+import { migrateEmbeddedComments } from './services/comments.js';
+import { backfillSavedProjects } from './services/savedProjects.js';
+import { recordView } from './services/projectAnalytics.js';
+import { parseLinkUrl } from './services/projectLinks.js';
+import { rateLimit, byIp } from './middleware/rateLimit.js';
+import { bootstrapAdmin } from './services/roles.js';
 
 const app = express();
 const PORT = process.env.PORT || 4000;
@@ -40,6 +63,13 @@ mongoose
   .connect(process.env.MONGODB_URI)
   .then(() => {
     console.log('✅ Connected to MongoDB Atlas');
+    bootstrapAdmin().catch((err) => console.error('Admin bootstrap error:', err.message));
+    // Comments first: the feed backfill relies on commentCount set by the migration
+    migrateEmbeddedComments()
+      .then(backfillProjectFeedFields)
+      .catch((err) => console.error('Project feed backfill error:', err.message));
+    normalizeProjectOrders().catch((err) => console.error('Project order migration error:', err.message));
+    backfillSavedProjects().catch((err) => console.error('Saved projects backfill error:', err.message));
   })
   .catch((err) => {
     console.error('❌ MongoDB connection error:', err.message);
@@ -56,49 +86,9 @@ mongoose.connection.on('error', (err) => {
   console.error('❌ MongoDB connection error:', err.message);
 });
 
-// Ensure uploads directory exists
-const UPLOADS_DIR = path.join(__dirname, 'uploads');
-if (!fs.existsSync(UPLOADS_DIR)) {
-  fs.mkdirSync(UPLOADS_DIR, { recursive: true });
-}
-
-// Multer config for file uploads
-const storage = multer.diskStorage({
-  destination: (req, file, cb) => {
-    cb(null, UPLOADS_DIR);
-  },
-  filename: (req, file, cb) => {
-    const ext = path.extname(file.originalname) || getExtensionFromMimetype(file.mimetype);
-    const filename = `${uuidv4()}${ext}`;
-    cb(null, filename);
-  },
-});
-
-function getExtensionFromMimetype(mimetype) {
-  const map = {
-    'image/jpeg': '.jpg',
-    'image/png': '.png',
-    'image/webp': '.webp',
-    'video/mp4': '.mp4',
-    'video/webm': '.webm',
-  };
-  return map[mimetype] || '.bin';
-}
-
-const upload = multer({
-  storage,
-  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB
-  fileFilter: (req, file, cb) => {
-    const allowed = ['image/jpeg', 'image/png', 'image/webp', 'video/mp4', 'video/webm'];
-    if (allowed.includes(file.mimetype)) {
-      cb(null, true);
-    } else {
-      cb(new Error('Invalid file type. Allowed: JPEG, PNG, WebP, MP4, WebM'));
-    }
-  },
-});
-
 initPassport();
+// Render / Vercel terminate requests at a proxy; trust it so req.ip is the client address
+app.set('trust proxy', Number(process.env.TRUST_PROXY_HOPS ?? 1));
 const frontendUrl = process.env.FRONTEND_URL;
 // ? frontendUrl.split(',').map((u) => u.trim()).filter(Boolean) : true
 app.use(
@@ -110,22 +100,6 @@ app.use(
 app.use(express.json());
 app.use(passport.initialize());
 
-// cloudinary :
-const uploadOnCloudinary = async (localFilePath) => {
-  try {
-    const result = await cloudinary.uploader.upload(localFilePath, {
-      resource_type: "auto",
-    });
-    fs.unlinkSync(localFilePath);
-    // console.log(result);
-    return result;
-    
-  } catch (err) {
-    if (fs.existsSync(localFilePath)) fs.unlinkSync(localFilePath);
-    return null;
-  }
-};
-
 app.post("/api/media", upload.single("file"), async (req, res) => {
   try {
     if (!req.file) {
@@ -149,82 +123,90 @@ app.post("/api/media", upload.single("file"), async (req, res) => {
 // app.use('/api/media', express.static(UPLOADS_DIR));
 
 // Auth routes
+app.use('/api/auth/2fa', twoFactorRoutes);
+app.use('/api/auth/tokens', accessTokenRoutes);
 app.use('/api/auth', authRoutes);
 app.use('/api/users', userRoutes);
 app.use('/api/messages', messageRoutes);
 
-// Get all projects (public - no auth required)
-app.get('/api/projects', async (req, res) => {
+// Project feed (public; likedByMe / savedByMe when signed in). Paginated:
+// ?sort=popular|nearby (&lat&lon) &tag &category &limit &cursor=<nextCursor from the previous page>
+app.get('/api/projects', optionalAuth, async (req, res) => {
   try {
-    const { sort, lat, lon } = req.query;
-    const userLat = parseFloat(lat);
-    const userLon = parseFloat(lon);
-    const hasLocation = !isNaN(userLat) && !isNaN(userLon);
-
-    let projects = await Project.find()
-      .sort(sort === 'popular' ? { order: 1 } : { order: 1, createdAt: -1 })
-      .populate('userId', 'name username profilePhoto')
-      .lean();
-
-    let formatted = projects.map((p) => ({
-      id: p._id.toString(),
-      title: p.title,
-      description: p.description,
-      media: p.media,
-      order: p.order,
-      createdAt: p.createdAt,
-      liveDemoUrl: p.liveDemoUrl || '',
-      codeUrl: p.codeUrl || '',
-      likeCount: p.likes?.length || 0,
-      commentCount: p.comments?.length || 0,
-      comments: p.comments || [],
-      likes: p.likes?.map((id) => id.toString()) || [],
-      savedBy: p.savedBy?.map((id) => id.toString()) || [],
-      user: p.userId
-        ? { id: p.userId._id.toString(), name: p.userId.name, username: p.userId.username, profilePhoto: p.userId.profilePhoto }
-        : null,
-    }));
+    const { sort, limit, cursor, lat, lon, tag, category } = req.query;
+    const page = await listProjects({
+      sort,
+      limit,
+      cursor,
+      lat: parseFloat(lat),
+      lon: parseFloat(lon),
+      tag,
+      category,
+      viewerId: req.user?._id,
+    });
+    res.json(page);
+  } catch (err) {
+    if (err.status) return res.status(err.status).json({ error: err.message });
+    console.error('Error fetching projects:', err);
+    res.status(500).json({ error: 'Failed to fetch projects' });
+  }
+});
 
-    // Sort by likes (popular) - already fetched, sort in memory
-    if (sort === 'popular') {
-      formatted.sort((a, b) => (b.likeCount || 0) - (a.likeCount || 0));
+// Full-text search (public). ?q (required) &sort=relevance|newest &author=<id or username>
+// &from &to (ISO dates) &hasLiveDemo=true &hasCode=true &limit &cursor
+app.get(
+  '/api/projects/search',
+  optionalAuth,
+  rateLimit({ name: 'project_search_ip', max: 120, windowMs: 60 * 1000, key: byIp }),
+  async (req, res) => {
+    try {
+      const { q, sort, limit, cursor, author, from, to, hasLiveDemo, hasCode } = req.query;
+      const page = await searchProjects({
+        q,
+        sort,
+        limit,
+        cursor,
+        author,
+        from,
+        to,
+        hasLiveDemo,
+        hasCode,
+        viewerId: req.user?._id,
+      });
+      res.json(page);
+    } catch (err) {
+      if (err.status) return res.status(err.status).json({ error: err.message });
+      console.error('Error searching projects:', err);
+      res.status(500).json({ error: 'Search failed' });
     }
+  }
+);
 
-    // Sort by nearest (need creator location from UserCard)
-    if (hasLocation && sort === 'nearby') {
-      const userIds = [...new Set(formatted.map((p) => p.user?.id).filter(Boolean))];
-      const userCards = await UserCard.find({ userId: { $in: userIds } }).select('userId location').lean();
-      const locMap = new Map();
-      userCards.forEach((uc) => {
-        const coords = uc.location?.coordinates;
-        if (coords && (coords.latitude != null || coords.longitude != null)) {
-          locMap.set(uc.userId?.toString(), {
-            lat: coords.latitude ?? coords.lat,
-            lon: coords.longitude ?? coords.lng ?? coords.lon,
-          });
-        }
-      });
-      formatted = formatted.map((p) => {
-        const loc = locMap.get(p.user?.id);
-        let distance = Infinity;
-        if (loc && loc.lat != null && loc.lon != null) {
-          distance = haversineDistance(userLat, userLon, loc.lat, loc.lon);
-        }
-        return { ...p, _distance: distance };
-      });
-      formatted.sort((a, b) => a._distance - b._distance);
-      formatted = formatted.map(({ _distance, ...p }) => p);
+// Most used tags with counts. ?limit (max 100) &q=<prefix, for autocomplete> &category
+app.get('/api/projects/tags', async (req, res) => {
+  try {
+    const { limit, q, category } = req.query;
+    if (category && !PROJECT_CATEGORIES.includes(category)) {
+      return res.status(400).json({ error: 'Invalid category' });
     }
+    res.json({ tags: await popularTags({ limit, prefix: q, category }) });
+  } catch (err) {
+    res.status(500).json({ error: 'Failed to fetch tags' });
+  }
+});
 
-    res.json(formatted);
+// Categories with project counts
+app.get('/api/projects/categories', async (req, res) => {
+  try {
+    res.json({ categories: await categoryCounts() });
   } catch (err) {
-    console.error('Error fetching projects:', err);
-    res.status(500).json({ error: 'Failed to fetch projects' });
+    res.status(500).json({ error: 'Failed to fetch categories' });
   }
 });
 
 // Get single project (public)
-app.get('/api/projects/:id', async (req, res) => {
+// Single project (public). Counts a view for the owner's analytics (services/projectAnalytics.js)
+app.get('/api/projects/:id', optionalAuth, async (req, res) => {
   try {
     const project = await Project.findById(req.params.id)
       .populate('userId', 'name username profilePhoto')
@@ -232,11 +214,14 @@ app.get('/api/projects/:id', async (req, res) => {
     if (!project) {
       return res.status(404).json({ error: 'Project not found' });
     }
+    recordView(req, { _id: project._id, userId: project.userId?._id }).catch((err) =>
+      console.error('Project view tracking failed:', err?.message)
+    );
     res.json({
       id: project._id.toString(),
       ...project,
       likeCount: project.likes?.length || 0,
-      commentCount: project.comments?.length || 0,
+      commentCount: project.commentCount || 0, // the comments themselves: GET /api/projects/:id/comments
       user: project.userId
         ? { id: project.userId._id.toString(), name: project.userId.name, username: project.userId.username, profilePhoto: project.userId.profilePhoto }
         : null,
@@ -249,57 +234,110 @@ app.get('/api/projects/:id', async (req, res) => {
 
 
 
-// Add new project (requires authentication) - must be before projectRoutes
-app.post('/api/projects', authenticateToken, upload.single('media'), async (req, res) => {
-  try {
-    const { title, description, liveDemoUrl, codeUrl } = req.body;
+// Add new project (requires authentication) - must be before projectRoutes.
+// Multipart: `media` files (up to MAX_PROJECT_MEDIA), `mediaMeta` (JSON array of { caption } per file),
+// `cover` ("new:<i>", default the first file)
+app.post(
+  '/api/projects',
+  authenticateWithScope('projects:write'),
+  acceptUploads(upload.array('media', MAX_PROJECT_MEDIA)),
+  async (req, res) => {
+    const files = req.files || [];
+    const fail = (status, error) => {
+      discardUploads(files);
+      return res.status(status).json({ error });
+    };
 
-    if (!title?.trim()) {
-      return res.status(400).json({ error: 'Title is required' });
-    }
+    try {
+      const { title, description, liveDemoUrl, codeUrl } = req.body;
 
-    if (!description?.trim()) {
-      return res.status(400).json({ error: 'Description is required' });
-    }
+      if (!title?.trim()) {
+        return fail(400, 'Title is required');
+      }
 
-    if (!req.file) {
-      return res.status(400).json({ error: 'Media file is required' });
-    }
+      if (!description?.trim()) {
+        return fail(400, 'Description is required');
+      }
 
-    // 🔥 Upload project media to Cloudinary
-    const uploadResult = await uploadOnCloudinary(req.file.path);
+      const { tags, error: tagsError } = parseTags(req.body.tags);
+      if (tagsError) {
+        return fail(400, tagsError);
+      }
 
-    if (!uploadResult) {
-      return res.status(500).json({ error: 'Media upload failed' });
-    }
+      const { category, error: categoryError } = parseCategory(req.body.category);
+      if (categoryError) {
+        return fail(400, categoryError);
+      }
 
-    const count = await Project.countDocuments();
+      const { url: liveDemo, error: liveDemoError } = parseLinkUrl(liveDemoUrl, 'liveDemoUrl');
+      if (liveDemoError) {
+        return fail(400, liveDemoError);
+      }
 
-    const project = await Project.create({
-      title: title.trim(),
-      description: description.trim(),
-      media: [{ url: uploadResult.secure_url }],
-      order: count,
-      userId: req.user._id,
-      liveDemoUrl: liveDemoUrl?.trim() || '',
-      codeUrl: codeUrl?.trim() || '',
-    });
+      const { url: code, error: codeError } = parseLinkUrl(codeUrl, 'codeUrl');
+      if (codeError) {
+        return fail(400, codeError);
+      }
 
-    res.status(201).json({
-      id: project._id.toString(),
-      title: project.title,
-      description: project.description,
-      media: project.media,
-      order: project.order,
-      createdAt: project.createdAt,
-    });
-    // console.log('OSM RAW RESPONSE:', data);
+      if (files.length === 0) {
+        return fail(400, 'Media file is required');
+      }
 
-  } catch (err) {
-    console.error(err);
-    res.status(500).json({ error: err.message });
+      const { meta, error: metaError } = parseMediaMeta(req.body.mediaMeta, files.length);
+      if (metaError) {
+        return fail(400, metaError);
+      }
+
+      const coverIndex = req.body.cover === undefined ? 0 : newFileIndex(req.body.cover);
+      if (coverIndex === null || coverIndex >= files.length) {
+        return fail(400, 'cover must be "new:<i>" for one of the uploaded files');
+      }
+
+      if (galleryBytes([], files) > MAX_PROJECT_MEDIA_BYTES) {
+        return fail(400, `Media can total at most ${Math.round(MAX_PROJECT_MEDIA_BYTES / 1024 / 1024)} MB per project`);
+      }
+
+      // 🔥 Upload project media to Cloudinary
+      const media = await uploadGallery(files, meta);
+
+      if (!media) {
+        return res.status(500).json({ error: 'Media upload failed' });
+      }
+
+      const project = await Project.create({
+        title: title.trim(),
+        description: description.trim(),
+        media: setCover(media, coverIndex),
+        order: 0,
+        userId: req.user._id,
+        liveDemoUrl: liveDemo,
+        codeUrl: code,
+        tags,
+        category,
+        creatorLocation: await creatorLocationFor(req.user._id),
+        ...authorFieldsFor(req.user),
+      });
+      await placeNewProject(project);
+
+      res.status(201).json({
+        id: project._id.toString(),
+        title: project.title,
+        description: project.description,
+        media: project.media,
+        tags: project.tags,
+        category: project.category,
+        order: project.order,
+        createdAt: project.createdAt,
+      });
+      // console.log('OSM RAW RESPONSE:', data);
+
+    } catch (err) {
+      discardUploads(files);
+      console.error(err);
+      res.status(500).json({ error: err.message });
+    }
   }
-});
+);
 
 
 
@@ -377,8 +415,10 @@ app.get("/api/user-card/me", authenticateToken, async (req, res) => {
 // Delete current user's card
 app.delete("/api/user-card", authenticateToken, async (req, res) => {
   try {
-    const result = await UserCard.deleteOne({ userId: req.user._id });
-    if (result.deletedCount === 0) return res.status(404).json({ error: 'No profile card found' });
+    const card = await UserCard.findOneAndDelete({ userId: req.user._id }).lean();
+    if (!card) return res.status(404).json({ error: 'No profile card found' });
+    if (card.profilePhoto?.filename) await destroyMedia({ publicId: card.profilePhoto.filename });
+    await syncCreatorLocation(req.user._id, null);
     res.json({ success: true });
   } catch (err) {
     console.error('Delete user card error:', err);
@@ -523,6 +563,7 @@ app.post(
         name: trimmedName,
         username: trimmedUsername,
       });
+      await syncProjectAuthor(req.user._id, { name: trimmedName, username: trimmedUsername });
 
       /* ---------- Order handling ---------- */
       const existingCard = await UserCard.findOne({ userId: req.user._id });
@@ -555,6 +596,7 @@ app.post(
         payload,
         { new: true, upsert: true }
       ).populate('userId', 'name username profilePhoto');
+      await syncCreatorLocation(req.user._id, userCard.location?.coordinates);
 
       const updatedUser = await User.findById(req.user._id).select('name username profilePhoto').lean();
       /* ---------- Response ---------- */
@@ -611,6 +653,12 @@ app.use('/api/escrow', escrowRoutes);
 // Notifications
 app.use('/api/notifications', notificationRoutes);
 
+// Admin / moderation
+app.use('/api/admin', adminRoutes);
+
+// GitHub repository import
+app.use('/api/github', githubRoutes);
+
 
 
 // Project interactions (like, comment, save)
@@ -619,3 +667,10 @@ app.use('/api/projects', projectRoutes);
 app.listen(PORT, () => {
   console.log(`ProWorkers API running at http://localhost:${PORT}`);
 });
+
+// Purge accounts whose deletion grace period has ended
+const ACCOUNT_DELETION_INTERVAL_MS = 60 * 60 * 1000;
+setInterval(() => {
+  if (mongoose.connection.readyState !== 1) return;
+  processScheduledDeletions().catch((err) => console.error('Scheduled account deletion error:', err.message));
+}, ACCOUNT_DELETION_INTERVAL_MS);
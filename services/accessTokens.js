@@ -0,0 +1,110 @@
+/**
+ * Personal access tokens: long-lived, scoped bearer credentials for scripts and CI.
+ * They are only accepted on routes that declare a scope (authenticateWithScope) and
+ * never on account / session management routes.
+ */
+
+import crypto from 'crypto';
+import AccessToken from '../models/AccessToken.js';
+import { hashToken, getClientIp } from './session.js';
+
+export const ACCESS_TOKEN_PREFIX = 'pwpat_';
+export const MAX_ACCESS_TOKENS_PER_USER = 20;
+export const MAX_ACCESS_TOKEN_DAYS = 365;
+
+export const ACCESS_TOKEN_SCOPES = {
+  'profile:read': 'Read your profile',
+  'projects:write': 'Create and delete your projects',
+  'escrow:read': 'Read your escrow projects and transactions',
+};
+
+// lastUsedAt is only written when it is older than this, to avoid a write per request
+const LAST_USED_RESOLUTION_MS = 60 * 1000;
+
+export function isAccessToken(token) {
+  return typeof token === 'string' && token.startsWith(ACCESS_TOKEN_PREFIX);
+}
+
+function formatAccessToken(doc) {
+  return {
+    id: doc._id.toString(),
+    name: doc.name,
+    prefix: doc.prefix,
+    scopes: doc.scopes,
+    expiresAt: doc.expiresAt,
+    lastUsedAt: doc.lastUsedAt,
+    lastUsedIp: doc.lastUsedIp || '',
+    createdAt: doc.createdAt,
+  };
+}
+
+/**
+ * Create a token. The plain token is only returned here; it can't be recovered later.
+ * @returns {Promise<{ ok: boolean, status?: number, error?: string, token?: string, accessToken?: object }>}
+ */
+export async function createAccessToken(userId, { name, scopes, expiresInDays }) {
+  if (typeof name !== 'string' || !name.trim()) {
+    return { ok: false, status: 400, error: 'name is required' };
+  }
+  if (!Array.isArray(scopes) || scopes.length === 0) {
+    return { ok: false, status: 400, error: 'At least one scope is required' };
+  }
+  const unknown = scopes.filter((s) => !ACCESS_TOKEN_SCOPES[s]);
+  if (unknown.length) {
+    return { ok: false, status: 400, error: `Unknown scope: ${unknown.join(', ')}` };
+  }
+  let expiresAt = null;
+  if (expiresInDays != null) {
+    const days = Number(expiresInDays);
+    if (!Number.isInteger(days) || days < 1 || days > MAX_ACCESS_TOKEN_DAYS) {
+      return { ok: false, status: 400, error: `expiresInDays must be between 1 and ${MAX_ACCESS_TOKEN_DAYS}` };
+    }
+    expiresAt = new Date(Date.now() + days * 24 * 60 * 60 * 1000);
+  }
+  if ((await AccessToken.countDocuments({ userId })) >= MAX_ACCESS_TOKENS_PER_USER) {
+    return { ok: false, status: 400, error: `You can have at most ${MAX_ACCESS_TOKENS_PER_USER} access tokens` };
+  }
+
+  const token = ACCESS_TOKEN_PREFIX + crypto.randomBytes(32).toString('base64url');
+  const doc = await AccessToken.create({
+    userId,
+    name: name.trim(),
+    tokenHash: hashToken(token),
+    prefix: token.slice(0, ACCESS_TOKEN_PREFIX.length + 6),
+    scopes: [...new Set(scopes)],
+    expiresAt,
+  });
+  return { ok: true, token, accessToken: formatAccessToken(doc) };
+}
+
+export async function listAccessTokens(userId) {
+  const tokens = await AccessToken.find({ userId, $or: [{ expiresAt: null }, { expiresAt: { $gt: new Date() } }] })
+    .sort({ createdAt: -1 })
+    .lean();
+  return tokens.map(formatAccessToken);
+}
+
+export async function revokeAccessToken(userId, tokenId) {
+  const result = await AccessToken.deleteOne({ _id: tokenId, userId });
+  return result.deletedCount > 0;
+}
+
+export async function revokeUserAccessTokens(userId) {
+  await AccessToken.deleteMany({ userId });
+}
+
+/** Look up a presented token; returns the token document (lean) or null if unknown / expired. */
+export async function resolveAccessToken(token, req) {
+  const doc = await AccessToken.findOne({ tokenHash: hashToken(token) }).lean();
+  if (!doc) return null;
+  // The TTL monitor only runs once a minute, so check expiry here too
+  if (doc.expiresAt && doc.expiresAt <= new Date()) return null;
+
+  const now = Date.now();
+  if (!doc.lastUsedAt || now - doc.lastUsedAt.getTime() > LAST_USED_RESOLUTION_MS) {
+    AccessToken.updateOne({ _id: doc._id }, { $set: { lastUsedAt: new Date(now), lastUsedIp: getClientIp(req) } }).catch(
+      (err) => console.error('Access token last-used update failed:', err.message)
+    );
+  }
+  return doc;
+}
@@ -0,0 +1,312 @@
+/**
+ * Personal data export and account deletion.
+ * Deletion is scheduled with a grace period (DELETE /api/users/me) and carried out by
+ * processScheduledDeletions, which server.js runs periodically. Escrow and payment records
+ * are kept for financial consistency, with the user's references replaced by DELETED_USER_ID.
+ */
+
+import mongoose from 'mongoose';
+import { destroyMedia } from '../cloudinary.js';
+import User from '../models/User.js';
+import UserCard from '../models/UserCard.js';
+import Project from '../models/Project.js';
+import Comment from '../models/Comment.js';
+import Message from '../models/Message.js';
+import FollowRequest from '../models/FollowRequest.js';
+import Notification from '../models/Notification.js';
+import DeviceToken from '../models/DeviceToken.js';
+import Session from '../models/Session.js';
+import OtpCode from '../models/OtpCode.js';
+import AuthCode from '../models/AuthCode.js';
+import AccessToken from '../models/AccessToken.js';
+import Feedback from '../models/Feedback.js';
+import EscrowProject from '../models/EscrowProject.js';
+import Transaction from '../models/Transaction.js';
+import WorkerReview from '../models/WorkerReview.js';
+import SavedProject from '../models/SavedProject.js';
+import ProjectCollection from '../models/ProjectCollection.js';
+import { deleteProjectComments, purgeUserComments } from './comments.js';
+import { deleteProjectSaves, purgeUserSaves } from './savedProjects.js';
+import { deleteProjectAnalytics, purgeUserAnalytics, exportUserAnalytics } from './projectAnalytics.js';
+
+export const ACCOUNT_DELETION_GRACE_DAYS = Number(process.env.ACCOUNT_DELETION_GRACE_DAYS) || 14;
+
+// Stand-in for deleted users in records that must survive them (populates to null)
+export const DELETED_USER_ID = new mongoose.Types.ObjectId('000000000000000000000000');
+
+// Escrow states with money or work in flight; an account can't be deleted while in one
+export const OPEN_ESCROW_STATUSES = ['accepted', 'pending_advance', 'in_progress', 'mid_level', 'completed'];
+
+const id = (v) => (v ? v.toString() : null);
+
+/** Everything stored about a user, as a plain JSON-serializable object. */
+export async function exportUserData(userId) {
+  const [
+    user,
+    card,
+    projects,
+    comments,
+    likedProjects,
+    savedProjects,
+    collections,
+    projectAnalytics,
+    messages,
+    followRequests,
+    notifications,
+    devices,
+    sessions,
+    accessTokens,
+    feedback,
+    escrowProjects,
+    transactions,
+    reviews,
+  ] = await Promise.all([
+    User.findById(userId).select('-password').lean(),
+    UserCard.findOne({ userId }).lean(),
+    Project.find({ userId }).lean(),
+    Comment.find({ userId }).sort({ createdAt: 1 }).populate('projectId', 'title').lean(),
+    Project.find({ likes: userId }).select('title').lean(),
+    SavedProject.find({ userId }).sort({ createdAt: -1 }).populate('projectId', 'title').lean(),
+    ProjectCollection.find({ userId }).sort({ createdAt: 1 }).lean(),
+    exportUserAnalytics(userId),
+    Message.find({ $or: [{ senderId: userId }, { receiverId: userId }] }).sort({ createdAt: 1 }).lean(),
+    FollowRequest.find({ $or: [{ fromUserId: userId }, { toUserId: userId }] }).lean(),
+    Notification.find({ userId }).sort({ createdAt: -1 }).lean(),
+    DeviceToken.find({ userId }).select('platform createdAt updatedAt').lean(),
+    Session.find({ userId }).select('userAgent ip platform lastUsedAt createdAt revokedAt').lean(),
+    AccessToken.find({ userId }).select('name prefix scopes expiresAt lastUsedAt createdAt').lean(),
+    Feedback.find({ userId }).lean(),
+    EscrowProject.find({ $or: [{ clientId: userId }, { workerId: userId }] }).lean(),
+    Transaction.find({ $or: [{ fromUserId: userId }, { toUserId: userId }] }).lean(),
+    WorkerReview.find({ $or: [{ workerId: userId }, { clientId: userId }] }).lean(),
+  ]);
+  if (!user) return null;
+
+  const me = id(userId);
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: {
+      id: me,
+      name: user.name,
+      username: user.username,
+      email: user.email,
+      emailVerified: user.emailVerified,
+      phone: user.phone,
+      phoneVerified: user.phoneVerified,
+      bio: user.bio,
+      profilePhoto: user.profilePhoto,
+      googleLinked: !!user.googleId,
+      githubUsername: user.githubId ? user.githubUsername : null,
+      twoFactorEnabled: !!user.twoFactor?.enabled,
+      bankAccount: user.bankAccount,
+      followers: (user.followers || []).map(id),
+      following: (user.following || []).map(id),
+      connections: (user.connections || []).map(id),
+      lastSeenAt: user.lastSeenAt,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+    },
+    userCard: card
+      ? {
+          fullName: card.fullName,
+          username: card.username,
+          passion: card.passion,
+          education: card.education,
+          skills: card.skills,
+          location: card.location,
+          portfolioUrl: card.portfolioUrl,
+          projectDemoUrl: card.projectDemoUrl,
+          profilePhoto: card.profilePhoto,
+          rating: card.rating,
+          ratingCount: card.ratingCount,
+          createdAt: card.createdAt,
+        }
+      : null,
+    projects: projects.map((p) => ({
+      id: id(p._id),
+      title: p.title,
+      description: p.description,
+      media: p.media,
+      liveDemoUrl: p.liveDemoUrl,
+      codeUrl: p.codeUrl,
+      likeCount: p.likes?.length || 0,
+      commentCount: p.commentCount || 0,
+      createdAt: p.createdAt,
+      updatedAt: p.updatedAt,
+    })),
+    comments: comments.map((c) => ({
+      id: id(c._id),
+      projectId: id(c.projectId?._id ?? c.projectId),
+      projectTitle: c.projectId?.title ?? null,
+      parentId: c.parentId ? id(c.parentId) : null,
+      text: c.text,
+      createdAt: c.createdAt,
+      editedAt: c.editedAt,
+    })),
+    likedProjects: likedProjects.map((p) => ({ id: id(p._id), title: p.title })),
+    savedProjects: savedProjects.map((s) => ({
+      id: id(s.projectId?._id ?? s.projectId),
+      title: s.projectId?.title ?? null,
+      savedAt: s.createdAt,
+    })),
+    collections: collections.map((c) => ({
+      id: id(c._id),
+      name: c.name,
+      description: c.description,
+      isPublic: !!c.isPublic,
+      projects: (c.items || []).map((i) => ({ id: id(i.projectId), addedAt: i.addedAt })),
+      createdAt: c.createdAt,
+    })),
+    // Daily view / click / like / save totals of your projects
+    projectAnalytics,
+    messages: messages.map((m) => ({
+      id: id(m._id),
+      direction: id(m.senderId) === me ? 'sent' : 'received',
+      withUserId: id(m.senderId) === me ? id(m.receiverId) : id(m.senderId),
+      text: m.text,
+      read: m.read,
+      createdAt: m.createdAt,
+    })),
+    followRequests: followRequests.map((r) => ({
+      direction: id(r.fromUserId) === me ? 'sent' : 'received',
+      otherUserId: id(r.fromUserId) === me ? id(r.toUserId) : id(r.fromUserId),
+      status: r.status,
+      createdAt: r.createdAt,
+    })),
+    notifications: notifications.map((n) => ({
+      type: n.type,
+      title: n.title,
+      message: n.message,
+      read: n.read,
+      createdAt: n.createdAt,
+    })),
+    devices: devices.map((d) => ({ platform: d.platform, registeredAt: d.createdAt, updatedAt: d.updatedAt })),
+    sessions: sessions.map((s) => ({
+      userAgent: s.userAgent,
+      ip: s.ip,
+      platform: s.platform,
+      lastUsedAt: s.lastUsedAt,
+      createdAt: s.createdAt,
+      revokedAt: s.revokedAt,
+    })),
+    accessTokens: accessTokens.map((t) => ({
+      name: t.name,
+      prefix: t.prefix,
+      scopes: t.scopes,
+      expiresAt: t.expiresAt,
+      lastUsedAt: t.lastUsedAt,
+      createdAt: t.createdAt,
+    })),
+    feedback: feedback.map((f) => ({ rating: f.rating, comment: f.comment, createdAt: f.createdAt })),
+    escrowProjects: escrowProjects.map((p) => ({
+      id: id(p._id),
+      role: id(p.clientId) === me ? 'client' : 'worker',
+      title: p.title,
+      description: p.description,
+      budget: p.budget,
+      agreedBudget: p.agreedBudget,
+      status: p.status,
+      advanceAmount: p.advanceAmount,
+      finalAmount: p.finalAmount,
+      workerPayoutAmount: p.workerPayoutAmount,
+      rating: p.rating,
+      review: p.review,
+      createdAt: p.createdAt,
+    })),
+    transactions: transactions.map((t) => ({
+      id: id(t._id),
+      type: t.type,
+      amount: t.amount,
+      currency: t.currency,
+      status: t.status,
+      direction: id(t.fromUserId) === me ? 'outgoing' : 'incoming',
+      escrowProjectId: id(t.escrowProjectId),
+      createdAt: t.createdAt,
+    })),
+    reviews: reviews.map((r) => ({
+      role: id(r.clientId) === me ? 'given' : 'received',
+      rating: r.rating,
+      review: r.review,
+      escrowProjectId: id(r.escrowProjectId),
+      createdAt: r.createdAt,
+    })),
+  };
+}
+
+/**
+ * Permanently delete a user and everything that belongs to them.
+ * Financial records (escrow, transactions, reviews) are anonymized instead.
+ */
+export async function purgeUser(userId) {
+  const user = await User.findById(userId).lean();
+  if (!user) return false;
+
+  // Media first, while we still know which assets are theirs
+  const projects = await Project.find({ userId }).select('media').lean();
+  const card = await UserCard.findOne({ userId }).select('profilePhoto').lean();
+  const assets = [
+    ...projects.flatMap((p) => (p.media || []).map((m) => ({ url: m.url }))),
+    { url: user.profilePhoto },
+    card?.profilePhoto?.filename ? { publicId: card.profilePhoto.filename } : { url: card?.profilePhoto?.url },
+  ];
+  await Promise.all(assets.map((a) => destroyMedia(a)));
+
+  await Project.deleteMany({ userId });
+  await deleteProjectComments(projects.map((p) => p._id));
+  await purgeUserComments(userId);
+  await deleteProjectSaves(projects.map((p) => p._id));
+  await purgeUserSaves(userId);
+  await deleteProjectAnalytics(projects.map((p) => p._id));
+  await purgeUserAnalytics(userId);
+  // Pipeline update so likeCount is recomputed in the same write
+  const oid = new mongoose.Types.ObjectId(userId);
+  await Project.updateMany({ $or: [{ likes: oid }, { savedBy: oid }] }, [
+    {
+      $set: {
+        likes: { $setDifference: [{ $ifNull: ['$likes', []] }, [oid]] },
+        savedBy: { $setDifference: [{ $ifNull: ['$savedBy', []] }, [oid]] },
+      },
+    },
+    { $set: { likeCount: { $size: '$likes' } } },
+  ], { timestamps: false });
+  await UserCard.deleteOne({ userId });
+  await Message.deleteMany({ $or: [{ senderId: userId }, { receiverId: userId }] });
+  await FollowRequest.deleteMany({ $or: [{ fromUserId: userId }, { toUserId: userId }] });
+  await User.updateMany(
+    { $or: [{ followers: userId }, { following: userId }, { connections: userId }] },
+    { $pull: { followers: userId, following: userId, connections: userId } }
+  );
+  await Notification.deleteMany({ $or: [{ userId }, { actorId: userId }] });
+  await DeviceToken.deleteMany({ userId });
+  await Session.deleteMany({ userId });
+  await AuthCode.deleteMany({ userId });
+  await AccessToken.deleteMany({ userId });
+  await OtpCode.deleteMany({ identifier: id(userId) });
+  await Feedback.deleteMany({ userId });
+
+  // Anonymize financial history
+  await EscrowProject.updateMany({ clientId: userId }, { $set: { clientId: DELETED_USER_ID } });
+  await EscrowProject.updateMany({ workerId: userId }, { $set: { workerId: DELETED_USER_ID } });
+  await EscrowProject.updateMany({ chatWithUserId: userId }, { $set: { chatWithUserId: DELETED_USER_ID } });
+  await Transaction.updateMany({ fromUserId: userId }, { $set: { fromUserId: DELETED_USER_ID } });
+  await Transaction.updateMany({ toUserId: userId }, { $set: { toUserId: DELETED_USER_ID } });
+  await WorkerReview.updateMany({ clientId: userId }, { $set: { clientId: DELETED_USER_ID } });
+  await WorkerReview.updateMany({ workerId: userId }, { $set: { workerId: DELETED_USER_ID } });
+
+  await User.deleteOne({ _id: userId });
+  return true;
+}
+
+/** Purge every account whose grace period has ended. */
+export async function processScheduledDeletions() {
+  const due = await User.find({ deletionScheduledFor: { $ne: null, $lte: new Date() } }).select('_id').lean();
+  for (const { _id } of due) {
+    try {
+      await purgeUser(_id);
+      console.log(`Account ${_id} deleted`);
+    } catch (err) {
+      console.error(`Account deletion failed for ${_id}:`, err.message);
+    }
+  }
+  return due.length;
+}
@@ -0,0 +1,360 @@
+/**
+ * Project comments (models/Comment.js) and the counters that follow them: commentCount on the
+ * project (every comment, replies included), replyCount and likeCount on comments.
+ * Functions that act for a user return { ok, status, error } like the other services.
+ */
+
+import mongoose from 'mongoose';
+import Comment from '../models/Comment.js';
+import Project from '../models/Project.js';
+import { encodeCursor, decodeCursor } from './projectFeed.js';
+import { resolveMentions, formatMentions, notifyMentions } from './mentions.js';
+import { notify, notifyLater } from './notifications.js';
+
+export const MAX_COMMENT_LENGTH = 2000;
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+// Replies returned with each top-level comment; the rest come from the replies endpoint
+const REPLY_PREVIEW = 3;
+const AUTHOR_FIELDS = 'name username profilePhoto';
+
+// Counter updates aren't edits of the project / comment, so they leave updatedAt alone
+const quiet = { timestamps: false };
+
+function formatComment(c, liked) {
+  const comment = {
+    id: c._id.toString(),
+    projectId: c.projectId.toString(),
+    parentId: c.parentId ? c.parentId.toString() : null,
+    text: c.text,
+    mentions: formatMentions(c.mentions),
+    createdAt: c.createdAt,
+    edited: !!c.editedAt,
+    editedAt: c.editedAt || null,
+    likeCount: c.likeCount || 0,
+    likedByMe: liked.has(c._id.toString()),
+    user: c.userId?._id
+      ? { id: c.userId._id.toString(), name: c.userId.name, username: c.userId.username, profilePhoto: c.userId.profilePhoto }
+      : null,
+  };
+  if (!c.parentId) comment.replyCount = c.replyCount || 0;
+  return comment;
+}
+
+async function likedByViewer(comments, viewerId) {
+  if (!viewerId || comments.length === 0) return new Set();
+  const docs = await Comment.find({ _id: { $in: comments.map((c) => c._id) }, likes: viewerId }).select('_id').lean();
+  return new Set(docs.map((d) => d._id.toString()));
+}
+
+function text(input) {
+  const value = typeof input === 'string' ? input.trim() : '';
+  if (!value) return { error: 'Comment text required' };
+  if (value.length > MAX_COMMENT_LENGTH) return { error: `Comments can be at most ${MAX_COMMENT_LENGTH} characters` };
+  return { value };
+}
+
+/* -------------------- Listing -------------------- */
+
+async function findCommentPage({ filter, dir, limit, cursor, mode }) {
+  const pageSize = Math.min(Math.max(parseInt(limit) || DEFAULT_LIMIT, 1), MAX_LIMIT);
+  const decoded = decodeCursor(cursor, mode);
+  const query = { ...filter };
+  if (decoded && decoded.k.length === 2 && mongoose.isValidObjectId(decoded.k[1])) {
+    const createdAt = new Date(decoded.k[0]);
+    const id = new mongoose.Types.ObjectId(decoded.k[1]);
+    const op = dir === 1 ? '$gt' : '$lt';
+    if (!isNaN(createdAt.getTime())) {
+      query.$or = [{ createdAt: { [op]: createdAt } }, { createdAt, _id: { [op]: id } }];
+    }
+  }
+
+  const docs = await Comment.find(query)
+    .sort({ createdAt: dir, _id: dir })
+    .limit(pageSize + 1)
+    .select('-likes')
+    .populate('userId', AUTHOR_FIELDS)
+    .lean();
+  const hasMore = docs.length > pageSize;
+  const page = docs.slice(0, pageSize);
+  const last = page[page.length - 1];
+  const nextCursor = hasMore ? encodeCursor({ m: mode, k: [last.createdAt.toISOString(), last._id.toString()] }) : null;
+  return { page, nextCursor, hasMore };
+}
+
+/** Top-level comments of a project, newest first, each with its first few replies. */
+export async function listComments(projectId, { limit, cursor, viewerId } = {}) {
+  const { page, nextCursor, hasMore } = await findCommentPage({
+    filter: { projectId, parentId: null },
+    dir: -1,
+    limit,
+    cursor,
+    mode: 'comments',
+  });
+  const previews = await Promise.all(
+    page.map((c) =>
+      c.replyCount
+        ? Comment.find({ parentId: c._id })
+            .sort({ createdAt: 1, _id: 1 })
+            .limit(REPLY_PREVIEW)
+            .select('-likes')
+            .populate('userId', AUTHOR_FIELDS)
+            .lean()
+        : []
+    )
+  );
+  const liked = await likedByViewer(page.concat(previews.flat()), viewerId);
+  return {
+    comments: page.map((c, i) => ({ ...formatComment(c, liked), replies: previews[i].map((r) => formatComment(r, liked)) })),
+    nextCursor,
+    hasMore,
+  };
+}
+
+/** Replies to a top-level comment, oldest first; null when the project has no such comment. */
+export async function listReplies(projectId, parentId, { limit, cursor, viewerId } = {}) {
+  const parentExists =
+    mongoose.isValidObjectId(projectId) &&
+    mongoose.isValidObjectId(parentId) &&
+    (await Comment.exists({ _id: parentId, projectId, parentId: null }));
+  if (!parentExists) return null;
+  const { page, nextCursor, hasMore } = await findCommentPage({
+    filter: { projectId, parentId },
+    dir: 1,
+    limit,
+    cursor,
+    mode: 'replies',
+  });
+  const liked = await likedByViewer(page, viewerId);
+  return { replies: page.map((c) => formatComment(c, liked)), nextCursor, hasMore };
+}
+
+/* -------------------- Changes -------------------- */
+
+/** Comment on a project, or reply when parentId is set (a reply to a reply joins the same thread). */
+export async function addComment({ projectId, user, text: input, parentId }) {
+  const { value, error } = text(input);
+  if (error) return { ok: false, status: 400, error };
+  const target = await Project.findById(projectId).select('userId title').lean();
+  if (!target) return { ok: false, status: 404, error: 'Project not found' };
+
+  let parent = null;
+  let threadId = null;
+  if (parentId) {
+    parent = mongoose.isValidObjectId(parentId)
+      ? await Comment.findOne({ _id: parentId, projectId }).select('parentId userId').lean()
+      : null;
+    if (!parent) return { ok: false, status: 404, error: 'Comment not found' };
+    threadId = parent.parentId || parent._id;
+  }
+
+  const mentions = await resolveMentions(value);
+  const comment = await Comment.create({ projectId, userId: user._id, parentId: threadId, text: value, mentions });
+  if (threadId) await Comment.updateOne({ _id: threadId }, { $inc: { replyCount: 1 } }, quiet);
+  const project = await Project.findByIdAndUpdate(projectId, { $inc: { commentCount: 1 } }, { new: true, ...quiet })
+    .select('commentCount')
+    .lean();
+  notifyCommentAudience({ comment, parent, project: target, mentions, user }).catch((err) =>
+    console.error('Comment notifications failed:', err?.message)
+  );
+
+  const doc = comment.toObject();
+  doc.userId = { _id: user._id, name: user.name, username: user.username, profilePhoto: user.profilePhoto };
+  return { ok: true, comment: formatComment(doc, new Set()), commentCount: project?.commentCount ?? 0 };
+}
+
+// The author of the comment replied to, the project owner, then anyone mentioned; each at most once
+async function notifyCommentAudience({ comment, parent, project, mentions, user }) {
+  const preview = `${comment.text.slice(0, 100)}${comment.text.length > 100 ? '...' : ''}`;
+  const link = `/projects/${comment.projectId}?comment=${comment._id}`;
+  const notified = [];
+  if (parent) {
+    await notify({
+      userId: parent.userId,
+      type: 'comment_replied',
+      actor: user,
+      title: 'New reply',
+      message: `${user.name} replied to your comment: ${preview}`,
+      link,
+      projectId: comment.projectId,
+      commentId: comment._id,
+    });
+    notified.push(parent.userId);
+  }
+  if (project.userId && !notified.some((id) => id.equals(project.userId))) {
+    await notify({
+      userId: project.userId,
+      type: 'project_commented',
+      actor: user,
+      title: 'New comment',
+      message: `${user.name} commented on "${project.title}": ${preview}`,
+      link,
+      projectId: comment.projectId,
+      commentId: comment._id,
+    });
+    notified.push(project.userId);
+  }
+  await notifyMentions({ mentions, actor: user, skip: notified, context: mentionContext(comment, user) });
+}
+
+function mentionContext(comment, author) {
+  return {
+    title: 'You were mentioned',
+    body: `${author.name} mentioned you in a comment: ${comment.text.slice(0, 100)}${comment.text.length > 100 ? '...' : ''}`,
+    link: `/projects/${comment.projectId}?comment=${comment._id}`,
+    projectId: comment.projectId,
+    commentId: comment._id,
+  };
+}
+
+/** Edit your own comment; it is marked as edited. Only users newly mentioned by the edit are notified. */
+export async function editComment({ projectId, commentId, user, text: input }) {
+  const { value, error } = text(input);
+  if (error) return { ok: false, status: 400, error };
+  const comment = mongoose.isValidObjectId(commentId) ? await Comment.findOne({ _id: commentId, projectId }) : null;
+  if (!comment) return { ok: false, status: 404, error: 'Comment not found' };
+  if (comment.userId.toString() !== user._id.toString()) {
+    return { ok: false, status: 403, error: 'You can only edit your own comments' };
+  }
+  if (comment.text !== value) {
+    const previouslyMentioned = comment.mentions.map((m) => m.userId.toString());
+    const mentions = await resolveMentions(value);
+    comment.text = value;
+    comment.mentions = mentions;
+    comment.editedAt = new Date();
+    await comment.save();
+    notifyMentions({ mentions, actor: user, skip: previouslyMentioned, context: mentionContext(comment, user) }).catch(
+      (err) => console.error('Mention notifications failed:', err?.message)
+    );
+  }
+  await comment.populate('userId', AUTHOR_FIELDS);
+  const liked = await likedByViewer([comment], user._id);
+  return { ok: true, comment: formatComment(comment.toObject(), liked) };
+}
+
+/** Delete a comment as its author or the project owner. A top-level comment takes its replies with it. */
+export async function deleteComment({ projectId, commentId, userId }) {
+  const comment = mongoose.isValidObjectId(commentId)
+    ? await Comment.findOne({ _id: commentId, projectId }).select('userId parentId').lean()
+    : null;
+  if (!comment) return { ok: false, status: 404, error: 'Comment not found' };
+  const project = await Project.findById(projectId).select('userId').lean();
+  const isAuthor = comment.userId.toString() === userId.toString();
+  const isOwner = project?.userId?.toString() === userId.toString();
+  if (!isAuthor && !isOwner) {
+    return { ok: false, status: 403, error: 'Only the author or the project owner can delete this comment' };
+  }
+
+  const { deletedCount } = await Comment.deleteOne({ _id: comment._id });
+  if (!deletedCount) return { ok: false, status: 404, error: 'Comment not found' };
+  let removed = 1;
+  if (comment.parentId) {
+    await Comment.updateOne({ _id: comment.parentId }, { $inc: { replyCount: -1 } }, quiet);
+  } else {
+    removed += (await Comment.deleteMany({ parentId: comment._id })).deletedCount;
+  }
+  const updated = await Project.findByIdAndUpdate(projectId, { $inc: { commentCount: -removed } }, { new: true, ...quiet })
+    .select('commentCount')
+    .lean();
+  return { ok: true, removed, commentCount: updated?.commentCount ?? 0 };
+}
+
+/** Like or unlike a comment; repeating either is a no-op. */
+export async function setCommentLike({ projectId, commentId, user, liked }) {
+  if (!mongoose.isValidObjectId(commentId)) return { ok: false, status: 404, error: 'Comment not found' };
+  const userId = user._id;
+  const filter = { _id: commentId, projectId };
+  const update = liked
+    ? { filter: { ...filter, likes: { $ne: userId } }, change: { $push: { likes: userId }, $inc: { likeCount: 1 } } }
+    : { filter: { ...filter, likes: userId }, change: { $pull: { likes: userId }, $inc: { likeCount: -1 } } };
+  const changed = await Comment.findOneAndUpdate(update.filter, update.change, { new: true, ...quiet })
+    .select('likeCount userId text')
+    .lean();
+  const comment = changed || (await Comment.findOne(filter).select('likeCount').lean());
+  if (!comment) return { ok: false, status: 404, error: 'Comment not found' };
+
+  if (changed && liked) {
+    notifyLater({
+      userId: changed.userId,
+      type: 'comment_liked',
+      actor: user,
+      title: 'New like',
+      message: `${user.name} liked your comment: ${changed.text.slice(0, 100)}${changed.text.length > 100 ? '...' : ''}`,
+      link: `/projects/${projectId}?comment=${changed._id}`,
+      projectId,
+      commentId: changed._id,
+    });
+  }
+  return { ok: true, liked, likeCount: comment.likeCount };
+}
+
+/* -------------------- Cleanup -------------------- */
+
+/** Comments of deleted projects. */
+export async function deleteProjectComments(projectIds) {
+  await Comment.deleteMany({ projectId: { $in: projectIds } });
+}
+
+async function recount({ projectIds = [], threadIds = [] }) {
+  for (const threadId of threadIds) {
+    const replyCount = await Comment.countDocuments({ parentId: threadId });
+    await Comment.updateOne({ _id: threadId }, { $set: { replyCount } }, quiet);
+  }
+  for (const projectId of projectIds) {
+    const commentCount = await Comment.countDocuments({ projectId });
+    await Project.updateOne({ _id: projectId }, { $set: { commentCount } }, quiet);
+  }
+}
+
+/** Remove a user's comments (and the replies under them) and their comment likes; counters are recomputed. */
+export async function purgeUserComments(userId) {
+  const uid = new mongoose.Types.ObjectId(userId);
+  const own = await Comment.find({ userId: uid }).select('projectId parentId').lean();
+  const topLevel = own.filter((c) => !c.parentId).map((c) => c._id);
+  await Comment.deleteMany({ $or: [{ userId: uid }, { parentId: { $in: topLevel } }] });
+
+  const threadIds = [...new Set(own.filter((c) => c.parentId).map((c) => c.parentId.toString()))];
+  const projectIds = [...new Set(own.map((c) => c.projectId.toString()))];
+  await recount({ projectIds, threadIds });
+
+  await Comment.updateMany(
+    { likes: uid },
+    [{ $set: { likes: { $setDifference: ['$likes', [uid]] } } }, { $set: { likeCount: { $size: '$likes' } } }],
+    quiet
+  );
+}
+
+/**
+ * Move comments that are still embedded in projects (the old `comments` array) into the
+ * comments collection, keeping their ids and dates. Runs at startup; safe to repeat.
+ */
+export async function migrateEmbeddedComments() {
+  const projects = Project.collection.find({ 'comments.0': { $exists: true } }, { projection: { comments: 1 } });
+  for await (const project of projects) {
+    const docs = project.comments
+      .filter((c) => c.userId && c.text)
+      .map((c) => ({
+        _id: c._id || new mongoose.Types.ObjectId(),
+        projectId: project._id,
+        userId: c.userId,
+        parentId: null,
+        text: c.text,
+        editedAt: null,
+        likes: [],
+        likeCount: 0,
+        replyCount: 0,
+        createdAt: c.createdAt || new Date(),
+        updatedAt: c.createdAt || new Date(),
+      }));
+    if (docs.length) {
+      try {
+        await Comment.collection.insertMany(docs, { ordered: false });
+      } catch (err) {
+        // Already moved by an earlier, interrupted run
+        if (err.code !== 11000) throw err;
+      }
+    }
+    const commentCount = await Comment.countDocuments({ projectId: project._id });
+    await Project.collection.updateOne({ _id: project._id }, { $unset: { comments: '' }, $set: { commentCount } });
+  }
+}
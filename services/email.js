@@ -72,6 +72,52 @@ export async function sendFollowRequestEmail({ toEmail, fromName }) {
   });
 }
 
+/* -------------------- Contact changed -------------------- */
+export async function sendContactChangedEmail({ toEmail, toName, field, newValue }) {
+  const logoHtml = getLogoHtml();
+  const label = field === 'phone' ? 'phone number' : 'email address';
+  return sendEmail({
+    to: toEmail,
+    subject: `Your ${label} was changed - ProWorkers`,
+    text: `Hi ${toName || ''},\n\nThe ${label} on your ProWorkers account was changed to ${newValue}.\n\nIf you didn't make this change, reset your password and contact support immediately.`,
+    html: `
+      <div style="font-family: sans-serif; max-width: 600px; margin: 0 auto; padding: 24px;">
+        ${logoHtml}
+        <h2 style="color: #2F5DAA;">Account ${label} changed</h2>
+        <p>The ${label} on your ProWorkers account was changed to <strong>${newValue}</strong>.</p>
+        <p>If you didn't make this change, reset your password and contact support immediately.</p>
+        <p style="color: #666; font-size: 12px; margin-top: 24px;">ProWorkers</p>
+      </div>
+    `,
+  });
+}
+
+/* -------------------- Magic link -------------------- */
+export async function sendMagicLinkEmail({ toEmail, link, isNewUser, expiresInMinutes }) {
+  const logoHtml = getLogoHtml();
+  const action = isNewUser ? 'create your ProWorkers account' : 'sign in to ProWorkers';
+  return sendEmail({
+    to: toEmail,
+    subject: isNewUser ? 'Finish signing up - ProWorkers' : 'Your sign-in link - ProWorkers',
+    text: `Use this link to ${action}:
+
+${link}
+
+It expires in ${expiresInMinutes} minutes and can only be used once. If you didn't request it, you can ignore this email.`,
+    html: `
+      <div style="font-family: sans-serif; max-width: 600px; margin: 0 auto; padding: 24px;">
+        ${logoHtml}
+        <h2 style="color: #2F5DAA;">${isNewUser ? 'Welcome to ProWorkers' : 'Sign in to ProWorkers'}</h2>
+        <p>Click the button below to ${action}.</p>
+        <p><a href="${link}" style="display: inline-block; background: #F47C2C; color: #fff; padding: 12px 20px; border-radius: 8px; text-decoration: none; font-weight: bold;">${isNewUser ? 'Create account' : 'Sign in'}</a></p>
+        <p>This link expires in ${expiresInMinutes} minutes and can only be used once.</p>
+        <p>If you didn’t request this, you can ignore this email.</p>
+        <p style="color: #666; font-size: 12px; margin-top: 24px;">ProWorkers</p>
+      </div>
+    `,
+  });
+}
+
 /* ProWorkers logo/header for emails - set PROWORKERS_LOGO_URL in .env for image, or uses styled text */
 const getLogoHtml = () => {
   const url = process.env.PROWORKERS_LOGO_URL;
@@ -0,0 +1,81 @@
+/**
+ * Minimal GitHub REST client for repository import.
+ * Routes use getGitHubClient(); tests can replace it with setGitHubClient() or point the
+ * default client at a local stub server with GITHUB_API_URL.
+ */
+
+const DEFAULT_API_URL = 'https://api.github.com';
+
+function formatRepo(repo) {
+  return {
+    id: repo.id,
+    name: repo.name,
+    fullName: repo.full_name,
+    description: repo.description || '',
+    htmlUrl: repo.html_url,
+    homepage: repo.homepage || '',
+    language: repo.language || null,
+    stars: repo.stargazers_count || 0,
+    fork: !!repo.fork,
+    archived: !!repo.archived,
+    private: !!repo.private,
+    ownerId: repo.owner?.id != null ? String(repo.owner.id) : null,
+    updatedAt: repo.pushed_at || repo.updated_at,
+    // Social preview image GitHub renders for every public repository
+    imageUrl: `https://opengraph.githubassets.com/1/${repo.full_name}`,
+  };
+}
+
+/**
+ * @param {{ baseUrl?: string, token?: string, fetch?: typeof fetch }} [options]
+ * `token` (GITHUB_API_TOKEN) is optional; it only raises the API rate limit.
+ */
+export function createGitHubClient({
+  baseUrl = process.env.GITHUB_API_URL || DEFAULT_API_URL,
+  token = process.env.GITHUB_API_TOKEN,
+  fetch: fetchImpl = globalThis.fetch,
+} = {}) {
+  async function request(path) {
+    const res = await fetchImpl(`${baseUrl.replace(/\/$/, '')}${path}`, {
+      headers: {
+        Accept: 'application/vnd.github+json',
+        'User-Agent': 'ProWorkers',
+        ...(token ? { Authorization: `Bearer ${token}` } : {}),
+      },
+    });
+    if (res.status === 404) return null;
+    if (!res.ok) {
+      const err = new Error(res.status === 403 || res.status === 429 ? 'GitHub rate limit reached. Try again later.' : `GitHub API error (${res.status})`);
+      err.status = res.status === 403 || res.status === 429 ? 429 : 502;
+      throw err;
+    }
+    return res.json();
+  }
+
+  return {
+    /** Public repositories owned by a GitHub user, most recently pushed first. */
+    async listUserRepos(username, { page = 1, perPage = 30 } = {}) {
+      const repos = await request(
+        `/users/${encodeURIComponent(username)}/repos?type=owner&sort=pushed&per_page=${perPage}&page=${page}`
+      );
+      return (repos || []).map(formatRepo);
+    },
+
+    /** A repository by numeric id, or null if it doesn't exist / isn't visible. */
+    async getRepo(id) {
+      const repo = await request(`/repositories/${encodeURIComponent(id)}`);
+      return repo ? formatRepo(repo) : null;
+    },
+  };
+}
+
+let client = null;
+
+export function getGitHubClient() {
+  if (!client) client = createGitHubClient();
+  return client;
+}
+
+export function setGitHubClient(githubClient) {
+  client = githubClient;
+}
@@ -0,0 +1,79 @@
+/**
+ * @mentions in comments and messages. Mentions resolve against User.username; the stored and
+ * returned form is [{ userId, username, start, end }], where start / end are offsets of "@name"
+ * in the text so clients can render links.
+ * Users whose card isn't public (UserCard.isPublic) are left out entirely: no link, no notification.
+ */
+
+import User from '../models/User.js';
+import UserCard from '../models/UserCard.js';
+import { notify } from './notifications.js';
+
+// Only the first few distinct usernames in one text are resolved, so a comment can't page half the site
+export const MAX_MENTIONS = 10;
+
+// "@" not preceded by a word character (so emails don't match), then a username that isn't the
+// start of a longer one
+const MENTION_PATTERN = /(^|[^\w@])@([a-zA-Z0-9_.]{3,30})(?![a-zA-Z0-9_])/g;
+
+/** "@name" candidates in text, in order: [{ username, start, end }]. */
+export function parseMentions(text) {
+  if (typeof text !== 'string' || !text.includes('@')) return [];
+  const found = [];
+  for (const match of text.matchAll(MENTION_PATTERN)) {
+    // A trailing dot ends the sentence rather than the username
+    const username = match[2].replace(/\.+$/, '');
+    if (username.length < 3) continue;
+    const start = match.index + match[1].length;
+    found.push({ username: username.toLowerCase(), start, end: start + 1 + username.length });
+  }
+  return found;
+}
+
+/** Resolve mentions in text. Returns [{ userId, username, start, end }]. */
+export async function resolveMentions(text) {
+  const candidates = parseMentions(text);
+  const usernames = [...new Set(candidates.map((c) => c.username))].slice(0, MAX_MENTIONS);
+  if (usernames.length === 0) return [];
+
+  const users = await User.find({ username: { $in: usernames }, deletionScheduledFor: null })
+    .select('_id username')
+    .lean();
+  const hidden = await UserCard.find({ userId: { $in: users.map((u) => u._id) }, isPublic: false }).distinct('userId');
+  const hiddenIds = new Set(hidden.map(String));
+  const byUsername = new Map(users.filter((u) => !hiddenIds.has(u._id.toString())).map((u) => [u.username, u._id]));
+
+  return candidates
+    .filter((c) => byUsername.has(c.username))
+    .map((c) => ({ userId: byUsername.get(c.username), username: c.username, start: c.start, end: c.end }));
+}
+
+export function formatMentions(mentions = []) {
+  return mentions.map((m) => ({ userId: m.userId.toString(), username: m.username, start: m.start, end: m.end }));
+}
+
+/**
+ * Notify mentioned users: one 'mention' notification and push each, skipping the author and
+ * anyone in `skip` (e.g. users already notified before an edit).
+ * @param {{ mentions: object[], actor: object, skip?: string[], context: { title: string, body: string,
+ *   link: string, projectId?: object, commentId?: object, messageId?: object } }} options
+ */
+export async function notifyMentions({ mentions, actor, skip = [], context }) {
+  const skipped = new Set([actor._id.toString(), ...skip.map(String)]);
+  const recipients = [...new Set(mentions.map((m) => m.userId.toString()))].filter((id) => !skipped.has(id));
+
+  for (const userId of recipients) {
+    await notify({
+      userId,
+      type: 'mention',
+      actor,
+      title: context.title,
+      message: context.body,
+      link: context.link,
+      projectId: context.projectId,
+      commentId: context.commentId,
+      messageId: context.messageId,
+    });
+  }
+  return recipients.length;
+}
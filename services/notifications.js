@@ -0,0 +1,60 @@
+/**
+ * Social notifications (likes, comments, replies, follows, connections, mentions): an in-app
+ * Notification plus a push. Each carries the actor, the project / comment it is about and a
+ * frontend deep link. Escrow notifications are created in routes/escrow.js.
+ */
+
+import Notification from '../models/Notification.js';
+import { sendPushToUser } from './push.js';
+
+// Repeating the same action on the same target inside this window (like, unlike, like...)
+// doesn't notify again
+export const NOTIFICATION_DEDUPE_HOURS = Number(process.env.NOTIFICATION_DEDUPE_HOURS || 24);
+
+function dedupeKeyFor({ type, actor, projectId, commentId, messageId }) {
+  return [type, actor._id, projectId || '', commentId || '', messageId || ''].join(':');
+}
+
+/**
+ * Notify `userId` that `actor` did something. Nothing is sent to yourself or for a duplicate.
+ * @param {{ userId: object, type: string, actor: object, title: string, message: string, link: string,
+ *   projectId?: object, commentId?: object, messageId?: object }} options
+ * @returns {Promise<boolean>} whether a notification was created
+ */
+export async function notify({ userId, type, actor, title, message, link, projectId, commentId, messageId }) {
+  if (!userId || userId.toString() === actor._id.toString()) return false;
+
+  const dedupeKey = dedupeKeyFor({ type, actor, projectId, commentId, messageId });
+  const since = new Date(Date.now() - NOTIFICATION_DEDUPE_HOURS * 60 * 60 * 1000);
+  if (await Notification.exists({ userId, dedupeKey, createdAt: { $gte: since } })) return false;
+
+  await Notification.create({
+    userId,
+    type,
+    title,
+    message,
+    actorId: actor._id,
+    projectId: projectId || undefined,
+    commentId: commentId || undefined,
+    messageId: messageId || undefined,
+    link,
+    dedupeKey,
+  });
+
+  sendPushToUser(userId, {
+    title,
+    body: message,
+    data: {
+      type,
+      fromUserId: actor._id.toString(),
+      fromName: actor.name,
+      link,
+    },
+  }).catch((err) => console.error(`Push (${type}) failed:`, err?.message));
+  return true;
+}
+
+/** notify() for fire-and-forget callers: failures are logged, never thrown. */
+export function notifyLater(options) {
+  notify(options).catch((err) => console.error(`Notification (${options.type}) failed:`, err?.message));
+}
@@ -0,0 +1,61 @@
+/**
+ * Account matching shared by the OAuth sign-in providers (see initPassport in routes/auth.js).
+ */
+
+import User from '../models/User.js';
+
+// Provider -> the User field holding the provider's account id
+export const OAUTH_PROVIDERS = {
+  google: { field: 'googleId', label: 'Google' },
+  github: { field: 'githubId', label: 'GitHub' },
+};
+
+// Free username derived from an email local part or display name ("Jane Doe" -> "jane_doe", "jane_doe1", ...)
+export async function generateUniqueUsername(seed) {
+  const baseUsername = String(seed || '').replace(/\s+/g, '_').toLowerCase().replace(/[^a-z0-9_.]/g, '');
+  let username = baseUsername.slice(0, 20) || 'user';
+  let exists = await User.findOne({ username });
+  let suffix = 0;
+  while (exists) {
+    suffix += 1;
+    username = `${baseUsername.slice(0, 15)}${suffix}`;
+    exists = await User.findOne({ username });
+  }
+  return username;
+}
+
+/**
+ * Find or create the account for an OAuth sign-in.
+ * `email` must be one the provider has verified. `extra` holds provider fields kept in sync on
+ * every sign-in (e.g. githubUsername). An existing account with the same email is never linked
+ * silently: { linkRequired, userId, hasPassword } is returned and the owner confirms with their
+ * password, or with a code emailed to them when the account has none.
+ * @returns {Promise<{ user?: object, created?: boolean, linkRequired?: boolean, userId?: object, hasPassword?: boolean }>}
+ */
+export async function resolveOAuthAccount(provider, { providerId, email, name, photo, placeholderEmail, extra = {} }) {
+  const { field } = OAUTH_PROVIDERS[provider];
+  let user = await User.findOne({ [field]: providerId });
+  if (user) {
+    if (Object.entries(extra).some(([key, value]) => user[key] !== value)) {
+      user.set(extra);
+      await user.save();
+    }
+    return { user };
+  }
+
+  const existing = email ? await User.findOne({ email }).select('_id password') : null;
+  if (existing) {
+    return { linkRequired: true, userId: existing._id, hasPassword: !!existing.password };
+  }
+
+  user = await User.create({
+    name,
+    username: await generateUniqueUsername(email ? email.split('@')[0] : name),
+    email: email || placeholderEmail,
+    emailVerified: !!email,
+    [field]: providerId,
+    profilePhoto: photo || null,
+    ...extra,
+  });
+  return { user, created: true };
+}
@@ -0,0 +1,203 @@
+/**
+ * Persistent one-time codes (signup, password reset and other verification flows).
+ * Codes live in Mongo so they survive restarts and work across instances; they are
+ * stored as HMACs and guarded by attempt limits, resend cooldowns and lockouts.
+ */
+
+import crypto from 'crypto';
+import OtpCode from '../models/OtpCode.js';
+import { sendOtpEmail } from './email.js';
+import { sendOtpSms } from './sms.js';
+
+export const OTP_EXPIRY_MS = 10 * 60 * 1000;
+const RESEND_COOLDOWN_MS = 60 * 1000;
+const MAX_VERIFY_ATTEMPTS = 5;
+const MAX_SENDS_PER_WINDOW = 5;
+const SEND_WINDOW_MS = 60 * 60 * 1000;
+const LOCKOUT_MS = 15 * 60 * 1000;
+
+function generateOtp() {
+  return String(crypto.randomInt(100000, 1000000));
+}
+
+function hashOtp(identifier, purpose, code) {
+  return crypto
+    .createHmac('sha256', process.env.OTP_SECRET || process.env.JWT_SECRET || 'otp')
+    .update(`${purpose}:${identifier}:${String(code).trim()}`)
+    .digest('hex');
+}
+
+function retryAfterSeconds(until) {
+  return Math.max(1, Math.ceil((new Date(until).getTime() - Date.now()) / 1000));
+}
+
+function latest(...dates) {
+  return new Date(Math.max(...dates.map((d) => new Date(d).getTime())));
+}
+
+/**
+ * Create (or replace) the code for an identifier. The caller delivers it.
+ * @param {{ identifier: string, purpose: string, channel: 'email'|'phone', metadata?: object }} params
+ * @returns {Promise<{ ok: true, otp: string } | { ok: false, status: number, error: string, retryAfter?: number }>}
+ */
+export async function issueOtp({ identifier, purpose, channel, metadata = {} }) {
+  const now = new Date();
+  const existing = await OtpCode.findOne({ identifier, purpose });
+
+  if (existing?.lockedUntil && existing.lockedUntil > now) {
+    return {
+      ok: false,
+      status: 429,
+      error: 'Too many attempts. Please try again later.',
+      retryAfter: retryAfterSeconds(existing.lockedUntil),
+    };
+  }
+  if (existing?.lastSentAt && now - existing.lastSentAt < RESEND_COOLDOWN_MS) {
+    const retryAt = new Date(existing.lastSentAt.getTime() + RESEND_COOLDOWN_MS);
+    return {
+      ok: false,
+      status: 429,
+      error: 'Please wait before requesting another code.',
+      retryAfter: retryAfterSeconds(retryAt),
+    };
+  }
+
+  const windowExpired = !existing || now - existing.sendWindowStartedAt >= SEND_WINDOW_MS;
+  const sendCount = windowExpired ? 0 : existing.sendCount;
+  const sendWindowStartedAt = windowExpired ? now : existing.sendWindowStartedAt;
+  if (sendCount >= MAX_SENDS_PER_WINDOW) {
+    const retryAt = new Date(sendWindowStartedAt.getTime() + SEND_WINDOW_MS);
+    return {
+      ok: false,
+      status: 429,
+      error: 'Too many codes requested. Please try again later.',
+      retryAfter: retryAfterSeconds(retryAt),
+    };
+  }
+
+  const otp = generateOtp();
+  const codeExpiresAt = new Date(now.getTime() + OTP_EXPIRY_MS);
+  try {
+    await OtpCode.findOneAndUpdate(
+      { identifier, purpose },
+      {
+        $set: {
+          channel,
+          codeHash: hashOtp(identifier, purpose, otp),
+          attempts: 0,
+          sendCount: sendCount + 1,
+          sendWindowStartedAt,
+          lastSentAt: now,
+          codeExpiresAt,
+          lockedUntil: null,
+          metadata,
+          expiresAt: latest(codeExpiresAt, new Date(sendWindowStartedAt.getTime() + SEND_WINDOW_MS)),
+        },
+      },
+      { upsert: true, new: true }
+    );
+  } catch (err) {
+    if (err?.code !== 11000) throw err;
+    // A parallel request created the record first, so a code has just been sent: same as the cooldown
+    return {
+      ok: false,
+      status: 429,
+      error: 'Please wait before requesting another code.',
+      retryAfter: Math.ceil(RESEND_COOLDOWN_MS / 1000),
+    };
+  }
+  return { ok: true, otp };
+}
+
+/**
+ * Check a code. A correct code is consumed; wrong guesses count towards a lockout.
+ * @returns {Promise<{ ok: true, channel: string, metadata: object } | { ok: false, status: number, error: string, retryAfter?: number }>}
+ */
+export async function verifyOtp({ identifier, purpose, code }) {
+  const now = new Date();
+
+  // Count the attempt before comparing so parallel guesses can't exceed the limit
+  const record = await OtpCode.findOneAndUpdate(
+    {
+      identifier,
+      purpose,
+      codeHash: { $ne: '' },
+      attempts: { $lt: MAX_VERIFY_ATTEMPTS },
+      $or: [{ lockedUntil: null }, { lockedUntil: { $lte: now } }],
+    },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+
+  if (!record) {
+    const existing = await OtpCode.findOne({ identifier, purpose }).lean();
+    if (existing?.lockedUntil && existing.lockedUntil > now) {
+      return {
+        ok: false,
+        status: 429,
+        error: 'Too many attempts. Please try again later.',
+        retryAfter: retryAfterSeconds(existing.lockedUntil),
+      };
+    }
+    return { ok: false, status: 400, error: 'OTP expired or not sent. Please request a new OTP.' };
+  }
+
+  if (!record.codeExpiresAt || record.codeExpiresAt <= now) {
+    await OtpCode.updateOne({ _id: record._id }, { $set: { codeHash: '' } });
+    return { ok: false, status: 400, error: 'OTP expired. Please request a new OTP.' };
+  }
+
+  const expected = Buffer.from(record.codeHash, 'hex');
+  const actual = Buffer.from(hashOtp(identifier, purpose, code), 'hex');
+  if (expected.length === actual.length && crypto.timingSafeEqual(expected, actual)) {
+    await OtpCode.deleteOne({ _id: record._id });
+    return { ok: true, channel: record.channel, metadata: record.metadata || {} };
+  }
+
+  if (record.attempts >= MAX_VERIFY_ATTEMPTS) {
+    const lockedUntil = new Date(now.getTime() + LOCKOUT_MS);
+    await OtpCode.updateOne(
+      { _id: record._id },
+      { $set: { codeHash: '', lockedUntil, expiresAt: latest(record.expiresAt, lockedUntil) } }
+    );
+    return {
+      ok: false,
+      status: 429,
+      error: 'Too many attempts. Please request a new code later.',
+      retryAfter: retryAfterSeconds(lockedUntil),
+    };
+  }
+
+  return { ok: false, status: 400, error: 'Invalid OTP', attemptsLeft: MAX_VERIFY_ATTEMPTS - record.attempts };
+}
+
+/**
+ * Deliver a code by email (Brevo) or SMS (Twilio).
+ * @returns {Promise<{ sent: boolean, error?: string }>}
+ */
+export async function deliverOtp({ channel, to, otp }) {
+  try {
+    return channel === 'email'
+      ? await sendOtpEmail({ toEmail: to, otp })
+      : await sendOtpSms({ toPhone: to, otp });
+  } catch (err) {
+    return { sent: false, error: err.message };
+  }
+}
+
+/** Drop an issued code that could not be delivered, so it does not count against the cooldown. */
+export async function discardOtp({ identifier, purpose }) {
+  await OtpCode.updateOne(
+    { identifier, purpose },
+    { $set: { codeHash: '', lastSentAt: null }, $inc: { sendCount: -1 } }
+  );
+}
+
+/** Send an OTP failure result as a response (adds Retry-After for rate limited results). */
+export function sendOtpError(res, result) {
+  if (result.retryAfter) res.set('Retry-After', String(result.retryAfter));
+  const body = { error: result.error };
+  if (result.attemptsLeft != null) body.attemptsLeft = result.attemptsLeft;
+  if (result.retryAfter) body.retryAfter = result.retryAfter;
+  return res.status(result.status).json(body);
+}
@@ -0,0 +1,263 @@
+/**
+ * Project analytics: views (GET /api/projects/:id), outbound clicks on liveDemoUrl / codeUrl,
+ * likes and saves, rolled up per project and UTC day in ProjectDailyStats.
+ * A visitor counts once per project and action per ANALYTICS_DEDUPE_MINUTES; owners viewing their
+ * own projects and obvious bots don't count. Visitors are identified by an HMAC of their user id
+ * (or of IP + user agent when signed out), so no raw IPs are stored.
+ */
+
+import crypto from 'crypto';
+import mongoose from 'mongoose';
+import Project from '../models/Project.js';
+import ProjectEvent, { ANALYTICS_EVENT_RETENTION_DAYS } from '../models/ProjectEvent.js';
+import ProjectDailyStats from '../models/ProjectDailyStats.js';
+import { getClientIp } from './session.js';
+
+export const ANALYTICS_DEDUPE_MINUTES = Number(process.env.ANALYTICS_DEDUPE_MINUTES || 30);
+export const ANALYTICS_DEFAULT_DAYS = 30;
+export const ANALYTICS_MAX_DAYS = 365;
+
+export const CLICK_TARGETS = {
+  'live-demo': { target: 'live_demo', field: 'liveDemoUrl', stat: 'liveDemoClicks' },
+  code: { target: 'code', field: 'codeUrl', stat: 'codeClicks' },
+};
+
+const STAT_FIELDS = ['views', 'uniqueViewers', 'liveDemoClicks', 'codeClicks', 'likes', 'saves'];
+const BOT_PATTERN = /bot|crawl|spider|slurp|preview|facebookexternalhit|headless|lighthouse/i;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+function httpError(status, message) {
+  const err = new Error(message);
+  err.status = status;
+  return err;
+}
+
+const badRequest = (message) => httpError(400, message);
+
+const dayOf = (date) => date.toISOString().slice(0, 10);
+
+function hmac(value) {
+  return crypto
+    .createHmac('sha256', process.env.ANALYTICS_SECRET || process.env.JWT_SECRET || 'analytics')
+    .update(value)
+    .digest('hex')
+    .slice(0, 32);
+}
+
+function userVisitorKey(userId) {
+  return hmac(`u:${userId}`);
+}
+
+// null when the request shouldn't be counted
+function visitorKeyFor(req) {
+  const userAgent = req.headers['user-agent'] || '';
+  if (BOT_PATTERN.test(userAgent)) return null;
+  if (req.user?._id) return userVisitorKey(req.user._id);
+  const ip = getClientIp(req);
+  return ip ? hmac(`a:${ip}:${userAgent}`) : null;
+}
+
+async function bumpStats(project, inc) {
+  await ProjectDailyStats.updateOne(
+    { projectId: project._id, day: dayOf(new Date()) },
+    { $inc: inc, $setOnInsert: { userId: project.userId } },
+    { upsert: true }
+  );
+}
+
+// Insert the event unless this visitor already has one in the current window. Returns it, or null for a repeat.
+async function insertEvent(fields) {
+  const now = new Date();
+  try {
+    return await ProjectEvent.create({
+      ...fields,
+      day: dayOf(now),
+      bucket: Math.floor(now.getTime() / (ANALYTICS_DEDUPE_MINUTES * 60 * 1000)),
+    });
+  } catch (err) {
+    if (err?.code === 11000) return null;
+    throw err;
+  }
+}
+
+/* -------------------- Recording -------------------- */
+
+/** Count a view of `project` (needs _id and userId) by the requester. */
+export async function recordView(req, project) {
+  if (!project.userId || req.user?._id?.equals(project.userId)) return;
+  const visitorKey = visitorKeyFor(req);
+  if (!visitorKey) return;
+  const event = await insertEvent({ projectId: project._id, type: 'view', visitorKey });
+  if (!event) return;
+  const seenToday = await ProjectEvent.exists({
+    projectId: project._id,
+    type: 'view',
+    day: event.day,
+    visitorKey,
+    _id: { $ne: event._id },
+  });
+  await bumpStats(project, seenToday ? { views: 1 } : { views: 1, uniqueViewers: 1 });
+}
+
+/** Count an outbound click; `target` is a key of CLICK_TARGETS. */
+export async function recordClick(req, project, target) {
+  const click = CLICK_TARGETS[target];
+  if (!click || !project.userId || req.user?._id?.equals(project.userId)) return;
+  const visitorKey = visitorKeyFor(req);
+  if (!visitorKey) return;
+  const event = await insertEvent({ projectId: project._id, type: 'click', target: click.target, visitorKey });
+  if (event) await bumpStats(project, { [click.stat]: 1 });
+}
+
+/** Net like / save change for today: `field` is 'likes' or 'saves', `delta` +1 or -1. */
+export async function recordInteraction(project, field, delta) {
+  if (!project?.userId) return;
+  await bumpStats(project, { [field]: delta });
+}
+
+/** recordInteraction for fire-and-forget callers: failures are logged, never thrown. */
+export function recordInteractionLater(project, field, delta) {
+  recordInteraction(project, field, delta).catch((err) => console.error('Project analytics failed:', err?.message));
+}
+
+/* -------------------- Reports -------------------- */
+
+// ?from / ?to as dates (YYYY-MM-DD or ISO), inclusive; default the last ANALYTICS_DEFAULT_DAYS days
+function parseRange(from, to) {
+  const parse = (value, name) => {
+    if (value === undefined || value === '') return null;
+    const date = new Date(value);
+    if (isNaN(date.getTime())) throw badRequest(`Invalid ${name} date`);
+    return date;
+  };
+  const end = parse(to, 'to') || new Date();
+  const start = parse(from, 'from') || new Date(end.getTime() - (ANALYTICS_DEFAULT_DAYS - 1) * DAY_MS);
+  if (start > end) throw badRequest('from must not be after to');
+
+  const days = [];
+  for (let t = Date.parse(dayOf(start)); t <= Date.parse(dayOf(end)); t += DAY_MS) {
+    days.push(dayOf(new Date(t)));
+    if (days.length > ANALYTICS_MAX_DAYS) throw badRequest(`The range can be at most ${ANALYTICS_MAX_DAYS} days`);
+  }
+  return { from: days[0], to: days[days.length - 1], days };
+}
+
+const emptyStats = () => Object.fromEntries(STAT_FIELDS.map((f) => [f, 0]));
+
+function addStats(total, row) {
+  for (const field of STAT_FIELDS) total[field] += row[field] || 0;
+  return total;
+}
+
+// One entry per day of the range, zeros included
+function series(days, rows) {
+  const byDay = new Map(days.map((day) => [day, { day, ...emptyStats() }]));
+  for (const row of rows) {
+    const entry = byDay.get(row.day);
+    if (entry) addStats(entry, row);
+  }
+  return [...byDay.values()];
+}
+
+/**
+ * Distinct viewers over the whole range, from the raw events (daily uniqueViewers can't be summed).
+ * Events are only kept for ANALYTICS_EVENT_RETENTION_DAYS; for ranges reaching further back the sum
+ * of the daily counts stands in and `uniqueViewersApproximate` is set.
+ */
+async function setUniqueViewers(totals, projectIds, range) {
+  const retainedFrom = dayOf(new Date(Date.now() - (ANALYTICS_EVENT_RETENTION_DAYS - 1) * DAY_MS));
+  totals.uniqueViewersApproximate = range.from < retainedFrom;
+  if (totals.uniqueViewersApproximate || projectIds.length === 0) return;
+  const [result] = await ProjectEvent.aggregate([
+    { $match: { projectId: { $in: projectIds }, type: 'view', day: { $gte: range.from, $lte: range.to } } },
+    { $group: { _id: '$visitorKey' } },
+    { $count: 'viewers' },
+  ]);
+  totals.uniqueViewers = result?.viewers || 0;
+}
+
+/**
+ * Analytics for one project, for its owner. Throws an Error with `status` for a missing project (404),
+ * someone else's project (403) or an invalid range (400).
+ * @param {{ projectId: string, userId: object, from?: string, to?: string }} options
+ */
+export async function projectAnalytics({ projectId, userId, from, to }) {
+  const project = mongoose.isValidObjectId(projectId)
+    ? await Project.findById(projectId).select('title userId likeCount commentCount savedBy createdAt').lean()
+    : null;
+  if (!project) throw httpError(404, 'Project not found');
+  if (!project.userId?.equals(userId)) throw httpError(403, 'You can only see analytics for your own projects');
+
+  const range = parseRange(from, to);
+  const rows = await ProjectDailyStats.find({ projectId: project._id, day: { $gte: range.from, $lte: range.to } }).lean();
+  const days = series(range.days, rows);
+  const totals = days.reduce(addStats, emptyStats());
+  await setUniqueViewers(totals, [project._id], range);
+
+  return {
+    project: { id: project._id.toString(), title: project.title, createdAt: project.createdAt },
+    from: range.from,
+    to: range.to,
+    totals,
+    current: {
+      likeCount: project.likeCount || 0,
+      saveCount: project.savedBy?.length || 0,
+      commentCount: project.commentCount || 0,
+    },
+    days,
+  };
+}
+
+/** Totals and a daily series across all of a user's projects, plus per-project totals (most viewed first). */
+export async function profileAnalytics({ userId, from, to }) {
+  const range = parseRange(from, to);
+  const [projects, rows] = await Promise.all([
+    Project.find({ userId }).select('title likeCount commentCount savedBy').lean(),
+    ProjectDailyStats.find({ userId, day: { $gte: range.from, $lte: range.to } }).lean(),
+  ]);
+
+  const perProject = new Map(projects.map((p) => [p._id.toString(), emptyStats()]));
+  for (const row of rows) {
+    const stats = perProject.get(row.projectId.toString());
+    if (stats) addStats(stats, row);
+  }
+  const days = series(range.days, rows.filter((r) => perProject.has(r.projectId.toString())));
+  const totals = days.reduce(addStats, emptyStats());
+  await setUniqueViewers(totals, projects.map((p) => p._id), range);
+
+  return {
+    from: range.from,
+    to: range.to,
+    totals,
+    current: {
+      projectCount: projects.length,
+      likeCount: projects.reduce((sum, p) => sum + (p.likeCount || 0), 0),
+      saveCount: projects.reduce((sum, p) => sum + (p.savedBy?.length || 0), 0),
+      commentCount: projects.reduce((sum, p) => sum + (p.commentCount || 0), 0),
+    },
+    days,
+    projects: projects
+      .map((p) => ({ id: p._id.toString(), title: p.title, ...perProject.get(p._id.toString()) }))
+      .sort((a, b) => b.views - a.views),
+  };
+}
+
+/* -------------------- Cleanup -------------------- */
+
+/** Events and rollups of deleted projects. */
+export async function deleteProjectAnalytics(projectIds) {
+  await ProjectEvent.deleteMany({ projectId: { $in: projectIds } });
+  await ProjectDailyStats.deleteMany({ projectId: { $in: projectIds } });
+}
+
+/** A user's rollups and the events they caused while signed in (anonymous events can't be tied to them). */
+export async function purgeUserAnalytics(userId) {
+  await ProjectDailyStats.deleteMany({ userId });
+  await ProjectEvent.deleteMany({ visitorKey: userVisitorKey(userId) });
+}
+
+/** A user's daily rollups, for the account export. */
+export async function exportUserAnalytics(userId) {
+  const rows = await ProjectDailyStats.find({ userId }).sort({ day: 1 }).lean();
+  return rows.map((r) => ({ projectId: r.projectId.toString(), day: r.day, ...addStats(emptyStats(), r) }));
+}
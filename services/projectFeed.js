@@ -0,0 +1,536 @@
+/**
+ * Public project feed (GET /api/projects) and search (GET /api/projects/search):
+ * keyset pagination with opaque cursors.
+ * Feed orderings:
+ *   default - order asc (a position within each owner's projects, so every profile's first
+ *             projects come first), newest first within the same position
+ *   popular - most likes first, then newest
+ *   nearby  - creators closest to ?lat/lon first; creators without a location follow, newest first
+ * The feed can be narrowed to a tag or a category. Search orderings: relevance (text score) or newest.
+ * Every ordering ends on _id so it is total, and a cursor resumes right after the last item by value.
+ * Orderings on values that stay put during a walk (newest, nearby, search) never repeat or skip items.
+ * default and popular are live: `order` shifts when an owner adds, deletes or rearranges projects and
+ * likeCount moves with every like, so an item whose value changes between two pages can show up twice
+ * or be missed. Clients should drop repeats by id.
+ */
+
+import mongoose from 'mongoose';
+import Project from '../models/Project.js';
+import User from '../models/User.js';
+import UserCard from '../models/UserCard.js';
+import { normalizeTag, parseCategory } from './projectTags.js';
+import { coverOf } from './projectMedia.js';
+
+export const FEED_DEFAULT_LIMIT = 20;
+export const FEED_MAX_LIMIT = 50;
+export const SEARCH_MAX_QUERY_LENGTH = 200;
+const SNIPPET_LENGTH = 160;
+
+const SORT_KEYS = {
+  default: [
+    { field: 'order', dir: 1 },
+    { field: 'createdAt', dir: -1, date: true },
+    { field: '_id', dir: -1, id: true },
+  ],
+  popular: [
+    { field: 'likeCount', dir: -1 },
+    { field: 'createdAt', dir: -1, date: true },
+    { field: '_id', dir: -1, id: true },
+  ],
+  // Second phase of nearby: projects whose creator has no location
+  far: [
+    { field: 'createdAt', dir: -1, date: true },
+    { field: '_id', dir: -1, id: true },
+  ],
+};
+
+// Position within the first phase of nearby; `distance` is computed by $geoNear
+const NEAR_KEYS = [
+  { field: 'distance', dir: 1 },
+  { field: '_id', dir: 1, id: true },
+];
+
+const SEARCH_KEYS = {
+  relevance: [
+    { field: 'score', dir: -1 },
+    { field: '_id', dir: -1, id: true },
+  ],
+  newest: SORT_KEYS.far,
+};
+
+// List items leave out likes / savedBy / comments; counts and the viewer's flags replace them
+const LIST_FIELDS =
+  'title description media order createdAt updatedAt liveDemoUrl codeUrl tags category likeCount commentCount userId';
+
+function badRequest(message) {
+  const err = new Error(message);
+  err.status = 400;
+  return err;
+}
+
+/* -------------------- Cursors -------------------- */
+
+export function encodeCursor(payload) {
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+}
+
+/** Decode a cursor from the query string; returns null if it is missing, invalid or for another sort. */
+export function decodeCursor(cursor, mode) {
+  if (typeof cursor !== 'string' || !cursor) return null;
+  try {
+    const payload = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf8'));
+    if (payload?.m !== mode || !Array.isArray(payload.k)) return null;
+    return payload;
+  } catch {
+    return null;
+  }
+}
+
+function cursorValues(doc, keys) {
+  return keys.map(({ field }) => {
+    const value = doc[field];
+    if (value instanceof Date) return value.toISOString();
+    return typeof value === 'number' ? value : String(value ?? '');
+  });
+}
+
+function castValues(values, keys) {
+  if (values.length !== keys.length) return null;
+  const cast = keys.map((key, i) => {
+    const value = values[i];
+    if (key.id) return mongoose.isValidObjectId(value) ? new mongoose.Types.ObjectId(value) : undefined;
+    if (key.date) {
+      const date = new Date(value);
+      return isNaN(date.getTime()) ? undefined : date;
+    }
+    const num = Number(value);
+    return Number.isFinite(num) ? num : undefined;
+  });
+  return cast.includes(undefined) ? null : cast;
+}
+
+// "After this position" for a compound sort: (k0 > v0) or (k0 = v0 and k1 > v1) or ...
+function afterFilter(keys, values) {
+  return {
+    $or: keys.map((key, i) => {
+      const clause = {};
+      for (let j = 0; j < i; j++) clause[keys[j].field] = values[j];
+      clause[key.field] = { [key.dir === 1 ? '$gt' : '$lt']: values[i] };
+      return clause;
+    }),
+  };
+}
+
+function sortSpec(keys) {
+  return Object.fromEntries(keys.map(({ field, dir }) => [field, dir]));
+}
+
+/* -------------------- Denormalized project fields -------------------- */
+
+function toPoint(coordinates) {
+  if (coordinates?.latitude == null || coordinates?.longitude == null) return null;
+  const lat = Number(coordinates.latitude);
+  const lon = Number(coordinates.longitude);
+  if (!Number.isFinite(lat) || !Number.isFinite(lon) || Math.abs(lat) > 90 || Math.abs(lon) > 180) return null;
+  return { type: 'Point', coordinates: [lon, lat] };
+}
+
+/** The creatorLocation to store on a new project by this user. */
+export async function creatorLocationFor(userId) {
+  const card = await UserCard.findOne({ userId }).select('location').lean();
+  return toPoint(card?.location?.coordinates);
+}
+
+/** Copy a user's card location onto all their projects (call when the card is saved or deleted). */
+export async function syncCreatorLocation(userId, coordinates) {
+  await Project.updateMany({ userId }, { $set: { creatorLocation: toPoint(coordinates) } }, { timestamps: false });
+}
+
+/** The author fields to store on a new project by this user (searched by GET /api/projects/search). */
+export function authorFieldsFor(user) {
+  return { authorName: user?.name || '', authorUsername: user?.username || '' };
+}
+
+/** Copy a user's name / username onto all their projects (call when either changes). */
+export async function syncProjectAuthor(userId, { name, username }) {
+  const updates = {};
+  if (name !== undefined) updates.authorName = name || '';
+  if (username !== undefined) updates.authorUsername = username || '';
+  if (Object.keys(updates).length === 0) return;
+  await Project.updateMany({ userId }, { $set: updates }, { timestamps: false });
+}
+
+/**
+ * Fill the feed / search fields on projects created before they existed. Cheap once done:
+ * every step only touches documents that are missing the fields. None of this is an edit,
+ * so updatedAt is left alone.
+ */
+export async function backfillProjectFeedFields() {
+  const quiet = { timestamps: false };
+  await Project.updateMany(
+    { likeCount: { $exists: false } },
+    [
+      {
+        $set: {
+          likeCount: { $size: { $ifNull: ['$likes', []] } },
+          // Set by migrateEmbeddedComments when the project had comments
+          commentCount: { $ifNull: ['$commentCount', 0] },
+        },
+      },
+    ],
+    quiet
+  );
+
+  const userIds = await Project.distinct('userId', { creatorLocation: { $exists: false } });
+  if (userIds.length) {
+    const cards = await UserCard.find({ userId: { $in: userIds } }).select('userId location').lean();
+    const points = new Map(cards.map((c) => [c.userId.toString(), toPoint(c.location?.coordinates)]));
+    for (const userId of userIds) {
+      await Project.updateMany(
+        { userId, creatorLocation: { $exists: false } },
+        { $set: { creatorLocation: points.get(String(userId)) || null } },
+        quiet
+      );
+    }
+  }
+  // Projects without an owner
+  await Project.updateMany({ creatorLocation: { $exists: false } }, { $set: { creatorLocation: null } }, quiet);
+
+  const authorIds = await Project.distinct('userId', { authorUsername: { $exists: false } });
+  if (authorIds.length) {
+    const authors = await User.find({ _id: { $in: authorIds } }).select('name username').lean();
+    for (const author of authors) {
+      await Project.updateMany(
+        { userId: author._id, authorUsername: { $exists: false } },
+        { $set: authorFieldsFor(author) },
+        quiet
+      );
+    }
+  }
+  await Project.updateMany({ authorUsername: { $exists: false } }, { $set: authorFieldsFor(null) }, quiet);
+}
+
+/* -------------------- Listing -------------------- */
+
+function formatItem(p, { liked, saved }) {
+  const item = {
+    id: p._id.toString(),
+    title: p.title,
+    description: p.description,
+    media: p.media,
+    cover: coverOf(p.media),
+    mediaCount: p.media?.length || 0,
+    order: p.order,
+    createdAt: p.createdAt,
+    updatedAt: p.updatedAt,
+    liveDemoUrl: p.liveDemoUrl || '',
+    codeUrl: p.codeUrl || '',
+    tags: p.tags || [],
+    category: p.category || null,
+    likeCount: p.likeCount || 0,
+    commentCount: p.commentCount || 0,
+    likedByMe: liked.has(p._id.toString()),
+    savedByMe: saved.has(p._id.toString()),
+    user: p.userId
+      ? { id: p.userId._id.toString(), name: p.userId.name, username: p.userId.username, profilePhoto: p.userId.profilePhoto }
+      : null,
+  };
+  if (p.distance != null) item.distanceKm = Math.round(p.distance / 100) / 10;
+  return item;
+}
+
+// The viewer's likes / saves, checked for this page only
+async function viewerFlags(page, viewerId) {
+  const liked = new Set();
+  const saved = new Set();
+  if (viewerId && page.length) {
+    const ids = page.map((p) => p._id);
+    const [likedDocs, savedDocs] = await Promise.all([
+      Project.find({ _id: { $in: ids }, likes: viewerId }).select('_id').lean(),
+      Project.find({ _id: { $in: ids }, savedBy: viewerId }).select('_id').lean(),
+    ]);
+    likedDocs.forEach((d) => liked.add(d._id.toString()));
+    savedDocs.forEach((d) => saved.add(d._id.toString()));
+  }
+  return { liked, saved };
+}
+
+/**
+ * Feed items for the given project ids, in that order (saved projects, collections).
+ * Ids of projects that no longer exist are skipped.
+ */
+export async function projectItemsByIds(projectIds, viewerId) {
+  if (projectIds.length === 0) return [];
+  const docs = await Project.find({ _id: { $in: projectIds } }).select(LIST_FIELDS).lean();
+  const byId = new Map(docs.map((d) => [d._id.toString(), d]));
+  const page = projectIds.map((id) => byId.get(id.toString())).filter(Boolean);
+  await Project.populate(page, { path: 'userId', select: 'name username profilePhoto' });
+  const flags = await viewerFlags(page, viewerId);
+  return page.map((p) => formatItem(p, flags));
+}
+
+async function findPage(filter, keys, limit) {
+  return Project.find(filter).sort(sortSpec(keys)).limit(limit).select(LIST_FIELDS).lean();
+}
+
+async function findNearbyPage({ lon, lat }, filter, after, limit) {
+  const geoNear = {
+    near: { type: 'Point', coordinates: [lon, lat] },
+    distanceField: 'distance',
+    key: 'creatorLocation',
+    spherical: true,
+    query: filter,
+  };
+  const stages = [{ $geoNear: geoNear }];
+  if (after) {
+    const [distance, id] = after;
+    // minDistance narrows the scan; the $match handles ties at exactly `distance`
+    geoNear.minDistance = Math.max(0, distance - 1);
+    stages.push({ $match: { $or: [{ distance: { $gt: distance } }, { distance, _id: { $gt: id } }] } });
+  }
+  stages.push(
+    { $sort: { distance: 1, _id: 1 } },
+    { $limit: limit },
+    { $project: Object.fromEntries(LIST_FIELDS.split(' ').concat('distance').map((f) => [f, 1])) }
+  );
+  return Project.aggregate(stages);
+}
+
+// Owners waiting out their account deletion grace period; their projects are left out of the feed and search
+function pendingDeletionOwners() {
+  return User.distinct('_id', { deletionScheduledFor: { $ne: null } });
+}
+
+/**
+ * One page of the feed, optionally narrowed to a tag (aliases accepted) or a category.
+ * Throws an Error with `status` 400 for an unknown category.
+ * @param {{ sort?: string, limit?: number, cursor?: string, lat?: number, lon?: number, tag?: string,
+ *   category?: string, viewerId?: object }} options
+ * @returns {Promise<{ projects: object[], nextCursor: string|null, hasMore: boolean }>}
+ */
+export async function listProjects({ sort, limit, cursor, lat, lon, tag, category, viewerId } = {}) {
+  const hasLocation = Number.isFinite(lat) && Number.isFinite(lon);
+  const mode = sort === 'popular' ? 'popular' : sort === 'nearby' && hasLocation ? 'nearby' : 'default';
+  const pageSize = Math.min(Math.max(parseInt(limit) || FEED_DEFAULT_LIMIT, 1), FEED_MAX_LIMIT);
+
+  const filter = {};
+  if (tag) {
+    const normalized = normalizeTag(String(tag));
+    if (!normalized) return { projects: [], nextCursor: null, hasMore: false };
+    filter.tags = normalized;
+  }
+  if (category) {
+    const parsed = parseCategory(category);
+    if (parsed.error) throw badRequest(parsed.error);
+    filter.category = parsed.category;
+  }
+  const hiddenOwners = await pendingDeletionOwners();
+  if (hiddenOwners.length) filter.userId = { $nin: hiddenOwners };
+  // A cursor only continues the listing it came from
+  const filterKey = JSON.stringify([filter.tags ?? null, filter.category ?? null]);
+  const decoded = decodeCursor(cursor, mode);
+  const valid = decoded?.f === filterKey ? decoded : null;
+
+  let docs;
+  if (mode === 'nearby') {
+    // A cursor is only valid for the location it was created with. Its phase says whether the
+    // last item had a creator location ('near') or came from the projects without one ('far').
+    const position = valid && valid.lat === lat && valid.lon === lon ? valid : null;
+    docs = [];
+    if (position?.p !== 'far') {
+      const after = position ? castValues(position.k, NEAR_KEYS) : null;
+      docs = (await findNearbyPage({ lon, lat }, filter, after, pageSize + 1)).map((d) => ({ ...d, _phase: 'near' }));
+    }
+    if (docs.length <= pageSize) {
+      const after = position?.p === 'far' ? castValues(position.k, SORT_KEYS.far) : null;
+      const farFilter = { ...filter, creatorLocation: null, ...(after ? afterFilter(SORT_KEYS.far, after) : {}) };
+      const far = await findPage(farFilter, SORT_KEYS.far, pageSize + 1 - docs.length);
+      docs = docs.concat(far.map((d) => ({ ...d, _phase: 'far' })));
+    }
+  } else {
+    const keys = SORT_KEYS[mode];
+    const after = valid ? castValues(valid.k, keys) : null;
+    docs = await findPage({ ...filter, ...(after ? afterFilter(keys, after) : {}) }, keys, pageSize + 1);
+  }
+
+  const hasMore = docs.length > pageSize;
+  const page = docs.slice(0, pageSize);
+  await Project.populate(page, { path: 'userId', select: 'name username profilePhoto' });
+
+  let nextCursor = null;
+  if (hasMore) {
+    const last = page[page.length - 1];
+    if (mode === 'nearby') {
+      const k = cursorValues(last, last._phase === 'near' ? NEAR_KEYS : SORT_KEYS.far);
+      nextCursor = encodeCursor({ m: mode, f: filterKey, p: last._phase, lat, lon, k });
+    } else {
+      nextCursor = encodeCursor({ m: mode, f: filterKey, k: cursorValues(last, SORT_KEYS[mode]) });
+    }
+  }
+
+  const flags = await viewerFlags(page, viewerId);
+  return { projects: page.map((p) => formatItem(p, flags)), nextCursor, hasMore };
+}
+
+/* -------------------- Search -------------------- */
+
+const STOPWORDS = new Set(['a', 'an', 'and', 'are', 'as', 'at', 'by', 'for', 'in', 'is', 'of', 'on', 'or', 'the', 'to', 'with']);
+
+
+/**
+ * Terms to highlight for a $text query: quoted phrases literally, words by a rough stem so
+ * "running" in the query also marks "run" / "runs" (MongoDB stems the same way when matching).
+ * Negated terms (-word) are left out.
+ */
+function highlightPatterns(q) {
+  const patterns = [];
+  const phrases = [...q.matchAll(/"([^"]+)"/g)].map((m) => m[1].trim()).filter(Boolean);
+  for (const phrase of phrases) patterns.push(escapeRegex(phrase).replace(/\s+/g, '\\s+'));
+
+  const words = q.replace(/"[^"]*"/g, ' ').split(/\s+/).filter((w) => w && !w.startsWith('-'));
+  for (const raw of words) {
+    const word = raw.toLowerCase().replace(/[^\p{L}\p{N}_.#+-]/gu, '');
+    if (!word || STOPWORDS.has(word)) continue;
+    const stem = word.length > 4 ? word.replace(/(ing|ed|es|s)$/, '').replace(/([^aeiou])\1$/, '$1') : word;
+    patterns.push(`${escapeRegex(stem)}[\\p{L}\\p{N}]*`);
+  }
+  if (patterns.length === 0) return null;
+  return new RegExp(`(?<![\\p{L}\\p{N}])(?:${patterns.join('|')})`, 'giu');
+}
+
+function escapeRegex(value) {
+  return value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+/**
+ * Highlight matches in `text`. Returns { text, matches: [[start, end], ...] } with offsets into the
+ * returned text, so clients mark them up themselves; nothing here is HTML. With `maxLength` the text is
+ * cut to a snippet around the first match.
+ */
+function highlight(text, pattern, maxLength) {
+  let value = text || '';
+  let prefix = '';
+  let suffix = '';
+  if (maxLength && value.length > maxLength) {
+    pattern.lastIndex = 0;
+    const first = pattern.exec(value);
+    let start = first ? Math.max(0, first.index - Math.floor(maxLength / 3)) : 0;
+    // Don't start or end mid-word
+    if (start > 0) {
+      const space = value.indexOf(' ', start);
+      if (space !== -1 && (!first || space < first.index)) start = space + 1;
+    }
+    let end = Math.min(value.length, start + maxLength);
+    if (end < value.length) {
+      const space = value.lastIndexOf(' ', end);
+      if (space > start) end = space;
+    }
+    prefix = start > 0 ? '…' : '';
+    suffix = end < value.length ? '…' : '';
+    value = value.slice(start, end);
+  }
+
+  const snippet = prefix + value + suffix;
+  const matches = [];
+  pattern.lastIndex = 0;
+  for (const m of value.matchAll(pattern)) {
+    matches.push([m.index + prefix.length, m.index + prefix.length + m[0].length]);
+  }
+  return { text: snippet, matches };
+}
+
+function parseDate(value, name) {
+  if (value === undefined || value === '') return null;
+  const date = new Date(value);
+  if (isNaN(date.getTime())) throw badRequest(`Invalid ${name} date`);
+  return date;
+}
+
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+/**
+ * One page of full-text search results.
+ * Weighted over title, tags, author name / username and description (see the text index on Project).
+ * Filters: author (user id or username), from / to (createdAt, inclusive), hasLiveDemo, hasCode.
+ * Throws an Error with `status` 400 for invalid input.
+ * @param {{ q: string, sort?: string, limit?: number, cursor?: string, author?: string, from?: string,
+ *   to?: string, hasLiveDemo?: boolean|string, hasCode?: boolean|string, viewerId?: object }} options
+ * @returns {Promise<{ projects: object[], nextCursor: string|null, hasMore: boolean }>}
+ */
+export async function searchProjects({ q, sort, limit, cursor, author, from, to, hasLiveDemo, hasCode, viewerId } = {}) {
+  const query = typeof q === 'string' ? q.trim() : '';
+  if (!query) throw badRequest('Search query (q) is required');
+  if (query.length > SEARCH_MAX_QUERY_LENGTH) {
+    throw badRequest(`Search query must be at most ${SEARCH_MAX_QUERY_LENGTH} characters`);
+  }
+
+  const mode = sort === 'newest' ? 'newest' : 'relevance';
+  const keys = SEARCH_KEYS[mode];
+  const pageSize = Math.min(Math.max(parseInt(limit) || FEED_DEFAULT_LIMIT, 1), FEED_MAX_LIMIT);
+
+  const filter = { $text: { $search: query } };
+  if (author) {
+    // A username first: isValidObjectId also accepts any 12-character string, so only a 24-digit hex
+    // value that isn't someone's username is taken as an id
+    const value = String(author).trim();
+    const authorDoc =
+      (await User.findOne({ username: value.toLowerCase() }).select('_id').lean()) ||
+      (/^[a-fA-F0-9]{24}$/.test(value) ? { _id: value } : null);
+    if (!authorDoc) return { projects: [], nextCursor: null, hasMore: false };
+    filter.userId = new mongoose.Types.ObjectId(String(authorDoc._id));
+  }
+  const authorId = filter.userId;
+  const hiddenOwners = await pendingDeletionOwners();
+  if (authorId && hiddenOwners.some((id) => id.equals(authorId))) {
+    return { projects: [], nextCursor: null, hasMore: false };
+  }
+  if (!authorId && hiddenOwners.length) filter.userId = { $nin: hiddenOwners };
+  const fromDate = parseDate(from, 'from');
+  const toDate = parseDate(to, 'to');
+  if (fromDate || toDate) {
+    filter.createdAt = {};
+    if (fromDate) filter.createdAt.$gte = fromDate;
+    if (toDate) filter.createdAt.$lte = toDate;
+  }
+  if (isTrue(hasLiveDemo)) filter.liveDemoUrl = { $nin: ['', null] };
+  if (isTrue(hasCode)) filter.codeUrl = { $nin: ['', null] };
+
+  // A cursor only continues the search it came from
+  const searchKey = JSON.stringify([query, authorId, fromDate, toDate, isTrue(hasLiveDemo), isTrue(hasCode)]);
+  const decoded = decodeCursor(cursor, mode);
+  const after = decoded && decoded.s === searchKey ? castValues(decoded.k, keys) : null;
+
+  const stages = [{ $match: filter }, { $addFields: { score: { $meta: 'textScore' } } }];
+  if (after) stages.push({ $match: afterFilter(keys, after) });
+  stages.push(
+    { $sort: sortSpec(keys) },
+    { $limit: pageSize + 1 },
+    { $project: Object.fromEntries(LIST_FIELDS.split(' ').concat('score').map((f) => [f, 1])) }
+  );
+  const docs = await Project.aggregate(stages);
+
+  const hasMore = docs.length > pageSize;
+  const page = docs.slice(0, pageSize);
+  await Project.populate(page, { path: 'userId', select: 'name username profilePhoto' });
+  const nextCursor = hasMore
+    ? encodeCursor({ m: mode, s: searchKey, k: cursorValues(page[page.length - 1], keys) })
+    : null;
+
+  const flags = await viewerFlags(page, viewerId);
+  const pattern = highlightPatterns(query);
+  const projects = page.map((p) => ({
+    ...formatItem(p, flags),
+    score: p.score,
+    highlights: pattern
+      ? {
+          title: highlight(p.title, pattern),
+          description: highlight(p.description, pattern, SNIPPET_LENGTH),
+          tags: (p.tags || []).filter((tag) => {
+            pattern.lastIndex = 0;
+            return pattern.test(tag);
+          }),
+        }
+      : null,
+  }));
+  return { projects, nextCursor, hasMore };
+}
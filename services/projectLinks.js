@@ -0,0 +1,22 @@
+/**
+ * Project links (liveDemoUrl, codeUrl). GET /api/projects/:id/open/:target redirects visitors to
+ * them, so only absolute http(s) URLs are accepted when they're written and followed when they're opened.
+ */
+
+/** The URL as parsed when `value` is an absolute http(s) URL, otherwise null. */
+export function safeLinkUrl(value) {
+  if (typeof value !== 'string' || !value.trim()) return null;
+  try {
+    const url = new URL(value.trim());
+    return url.protocol === 'http:' || url.protocol === 'https:' ? url.href : null;
+  } catch {
+    return null;
+  }
+}
+
+/** A link from a request body: { url } ('' when empty, which clears it) or { error }. */
+export function parseLinkUrl(input, name) {
+  if (input === undefined || input === null || String(input).trim() === '') return { url: '' };
+  if (!safeLinkUrl(String(input))) return { error: `${name} must be an http:// or https:// URL` };
+  return { url: String(input).trim() };
+}
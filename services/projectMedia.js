@@ -0,0 +1,72 @@
+/**
+ * Project galleries: limits, per-item metadata and the cover item shown in listings.
+ * Uploading itself happens in services/uploads.js (multer + uploadOnCloudinary).
+ */
+
+export const MAX_PROJECT_MEDIA = 10;
+// Sum of all items in one project, checked before anything is sent to Cloudinary
+export const MAX_PROJECT_MEDIA_BYTES = Number(process.env.MAX_PROJECT_MEDIA_MB || 200) * 1024 * 1024;
+export const MAX_CAPTION_LENGTH = 300;
+
+function cleanCaption(value) {
+  return typeof value === 'string' ? value.trim().slice(0, MAX_CAPTION_LENGTH) : '';
+}
+
+/** Parse a JSON value from a request body field (multipart sends strings). Returns undefined if invalid. */
+export function parseJsonField(value) {
+  if (typeof value !== 'string') return value;
+  try {
+    return JSON.parse(value);
+  } catch {
+    return undefined;
+  }
+}
+
+/**
+ * Per-file metadata sent with an upload: `mediaMeta`, a JSON array in the same order as the files,
+ * e.g. [{ "caption": "Home screen" }]. Returns { meta } (one entry per file) or { error }.
+ */
+export function parseMediaMeta(input, fileCount) {
+  if (input === undefined || input === '') return { meta: Array.from({ length: fileCount }, () => ({})) };
+  const list = parseJsonField(input);
+  if (!Array.isArray(list) || list.length > fileCount) {
+    return { error: 'mediaMeta must be a JSON array with at most one entry per file' };
+  }
+  return { meta: Array.from({ length: fileCount }, (_, i) => ({ caption: cleanCaption(list[i]?.caption) })) };
+}
+
+/** Total bytes of a gallery plus new files; items stored before sizes were recorded count as 0. */
+export function galleryBytes(items, files = []) {
+  return items.reduce((sum, m) => sum + (m.bytes || 0), 0) + files.reduce((sum, f) => sum + (f.size || 0), 0);
+}
+
+/** A gallery item from a Cloudinary upload result. */
+export function mediaFromUpload(result, { caption } = {}) {
+  const type = result.resource_type === 'video' ? 'video' : 'image';
+  return {
+    url: result.secure_url,
+    filename: result.public_id,
+    type,
+    caption: caption || '',
+    width: result.width || null,
+    height: result.height || null,
+    duration: type === 'video' && result.duration ? Math.round(result.duration * 10) / 10 : null,
+    bytes: result.bytes || null,
+    cover: false,
+  };
+}
+
+/** Mark exactly one item as the cover: the one at `index`, else the current cover, else the first. */
+export function setCover(items, index) {
+  const current = items.findIndex((m) => m.cover);
+  const target = Number.isInteger(index) && index >= 0 && index < items.length ? index : Math.max(current, 0);
+  items.forEach((m, i) => {
+    m.cover = i === target;
+  });
+  return items;
+}
+
+/** The item listings show for a project. */
+export function coverOf(media = []) {
+  return media.find((m) => m.cover) || media[0] || null;
+}
@@ -0,0 +1,99 @@
+/**
+ * Per-owner project order. `order` is a position within its owner's projects (0 = first) and
+ * pinned projects come before the rest on the profile: sort { pinned: -1, order: 1 }.
+ */
+
+import mongoose from 'mongoose';
+import Project from '../models/Project.js';
+
+export const MAX_PINNED_PROJECTS = Number(process.env.MAX_PINNED_PROJECTS || 3);
+export const PROFILE_PROJECT_SORT = { pinned: -1, order: 1, createdAt: -1 };
+
+/**
+ * Put a new project at the top of its owner's list, as profiles have always shown newest first:
+ * create it with order 0, then call this so their other projects move down one place. Running it
+ * only after the insert means a failed create never shifts anything.
+ */
+export async function placeNewProject(project) {
+  await Project.updateMany(
+    { userId: project.userId, _id: { $ne: project._id } },
+    { $inc: { order: 1 } },
+    { timestamps: false }
+  );
+}
+
+/** Close the gap a deleted project leaves in its owner's order. */
+export async function closeOrderGap(project) {
+  if (!project.userId) return;
+  await Project.updateMany(
+    { userId: project.userId, order: { $gt: project.order } },
+    { $inc: { order: -1 } },
+    { timestamps: false }
+  );
+}
+
+/**
+ * Rearrange a user's projects. `projectIds` must list every one of their projects, in the new order;
+ * `pinnedIds` (optional, at most MAX_PINNED_PROJECTS) replaces the pinned set.
+ * Returns { ok: true, projects } or { ok: false, status, error }.
+ */
+export async function reorderProjects(userId, projectIds, pinnedIds) {
+  if (!Array.isArray(projectIds) || projectIds.some((id) => !mongoose.isValidObjectId(id))) {
+    return { ok: false, status: 400, error: 'projectIds must be a list of project ids' };
+  }
+  if (pinnedIds !== undefined && (!Array.isArray(pinnedIds) || pinnedIds.some((id) => !mongoose.isValidObjectId(id)))) {
+    return { ok: false, status: 400, error: 'pinned must be a list of project ids' };
+  }
+
+  const ids = projectIds.map(String);
+  const owned = await Project.find({ userId }).select('_id pinned').lean();
+  const ownedIds = new Set(owned.map((p) => p._id.toString()));
+  if (new Set(ids).size !== ids.length || ids.length !== ownedIds.size || ids.some((id) => !ownedIds.has(id))) {
+    return { ok: false, status: 400, error: 'projectIds must list each of your projects exactly once' };
+  }
+
+  const pinned = new Set(
+    pinnedIds !== undefined ? pinnedIds.map(String) : owned.filter((p) => p.pinned).map((p) => p._id.toString())
+  );
+  if ([...pinned].some((id) => !ownedIds.has(id))) {
+    return { ok: false, status: 400, error: 'You can only pin your own projects' };
+  }
+  if (pinned.size > MAX_PINNED_PROJECTS) {
+    return { ok: false, status: 400, error: `You can pin at most ${MAX_PINNED_PROJECTS} projects` };
+  }
+
+  // Arranging the profile isn't an edit of the projects themselves, so updatedAt stays
+  if (ids.length) {
+    await Project.bulkWrite(
+      ids.map((id, order) => ({
+        updateOne: { filter: { _id: id, userId }, update: { $set: { order, pinned: pinned.has(id) } }, timestamps: false },
+      }))
+    );
+  }
+
+  const projects = await Project.find({ userId }).sort(PROFILE_PROJECT_SORT).select('title order pinned').lean();
+  return {
+    ok: true,
+    projects: projects.map((p) => ({ id: p._id.toString(), title: p.title, order: p.order, pinned: !!p.pinned })),
+  };
+}
+
+/**
+ * Renumber owners whose projects still carry the old global order (a position across all projects,
+ * stored before `orderScope` existed) to 0..n-1, newest first like the profile used to list them.
+ * Runs at startup; projects it has numbered are marked, so it never touches an order set by the owner.
+ */
+export async function normalizeProjectOrders() {
+  const unscoped = { orderScope: { $exists: false } };
+  const owners = await Project.distinct('userId', { ...unscoped, userId: { $ne: null } });
+  for (const userId of owners) {
+    const projects = await Project.find({ userId }).sort({ createdAt: -1, _id: -1 }).select('_id').lean();
+    await Project.bulkWrite(
+      projects.map((p, order) => ({
+        updateOne: { filter: { _id: p._id }, update: { $set: { order, orderScope: 'owner' } }, timestamps: false },
+      }))
+    );
+  }
+  // Projects without an owner have no list to be placed in
+  await Project.updateMany(unscoped, { $set: { orderScope: 'owner' } }, { timestamps: false });
+}
@@ -0,0 +1,142 @@
+/**
+ * Project tags and categories. Tags are stored normalized: lowercase, dashes for spaces, and
+ * aliases folded into one canonical name, so "ReactJS", "react.js" and "react" are the same tag.
+ */
+
+import Project from '../models/Project.js';
+
+export const PROJECT_CATEGORIES = [
+  'web',
+  'mobile',
+  'desktop',
+  'game',
+  'ai_ml',
+  'data',
+  'devops',
+  'library',
+  'design',
+  'hardware',
+  'other',
+];
+
+export const MAX_TAGS = 10;
+export const MAX_TAG_LENGTH = 30;
+
+// Alias -> canonical tag (both sides already normalized)
+const TAG_ALIASES = {
+  reactjs: 'react',
+  'react.js': 'react',
+  'react-js': 'react',
+  reactnative: 'react-native',
+  nodejs: 'node',
+  'node.js': 'node',
+  'node-js': 'node',
+  vuejs: 'vue',
+  'vue.js': 'vue',
+  'next.js': 'nextjs',
+  'nuxt.js': 'nuxtjs',
+  angularjs: 'angular',
+  'express.js': 'express',
+  expressjs: 'express',
+  js: 'javascript',
+  es6: 'javascript',
+  ts: 'typescript',
+  py: 'python',
+  python3: 'python',
+  golang: 'go',
+  'c-sharp': 'csharp',
+  'c#': 'csharp',
+  cpp: 'c++',
+  postgres: 'postgresql',
+  mongo: 'mongodb',
+  k8s: 'kubernetes',
+  tailwindcss: 'tailwind',
+  'tailwind-css': 'tailwind',
+  ml: 'machine-learning',
+  'artificial-intelligence': 'ai',
+  flutterdev: 'flutter',
+};
+
+/** Normalize one tag; returns null if nothing usable is left. */
+export function normalizeTag(raw) {
+  if (typeof raw !== 'string') return null;
+  const tag = raw
+    .trim()
+    .toLowerCase()
+    .replace(/^#+/, '')
+    .replace(/[\s_]+/g, '-')
+    .replace(/[^a-z0-9+#.-]/g, '')
+    .replace(/-{2,}/g, '-')
+    .replace(/^[-.]+|[-.]+$/g, '');
+  if (!tag || tag.length > MAX_TAG_LENGTH) return null;
+  return TAG_ALIASES[tag] || tag;
+}
+
+/**
+ * Parse tags from a request body: an array, a JSON array string or a comma-separated string
+ * (multipart forms send strings). Returns { tags } or { error }.
+ */
+export function parseTags(input) {
+  if (input === undefined || input === null || input === '') return { tags: [] };
+  let list = input;
+  if (typeof input === 'string') {
+    if (input.trim().startsWith('[')) {
+      try {
+        list = JSON.parse(input);
+      } catch {
+        return { error: 'Tags must be a list' };
+      }
+    } else {
+      list = input.split(',');
+    }
+  }
+  if (!Array.isArray(list)) return { error: 'Tags must be a list' };
+
+  const tags = [...new Set(list.map(normalizeTag).filter(Boolean))];
+  if (tags.length > MAX_TAGS) return { error: `A project can have at most ${MAX_TAGS} tags` };
+  return { tags };
+}
+
+/** Parse a category from a request body. '' or null clears it. Returns { category } or { error }. */
+export function parseCategory(input) {
+  if (input === undefined || input === null || input === '') return { category: null };
+  const category = String(input).trim().toLowerCase();
+  if (!PROJECT_CATEGORIES.includes(category)) {
+    return { error: `Category must be one of: ${PROJECT_CATEGORIES.join(', ')}` };
+  }
+  return { category };
+}
+
+/**
+ * Most used tags with their project counts.
+ * @param {{ limit?: number, prefix?: string, category?: string }} options - prefix for autocomplete
+ */
+export async function popularTags({ limit, prefix, category } = {}) {
+  const max = Math.min(Math.max(parseInt(limit) || 20, 1), 100);
+  const stages = [];
+  if (category) stages.push({ $match: { category } });
+  stages.push({ $unwind: '$tags' });
+  // The prefix is normalized like the tags themselves
+  const start = typeof prefix === 'string' ? normalizeTag(prefix) : null;
+  if (start) {
+    const escaped = start.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    stages.push({ $match: { tags: { $regex: `^${escaped}` } } });
+  }
+  stages.push(
+    { $group: { _id: '$tags', count: { $sum: 1 } } },
+    { $sort: { count: -1, _id: 1 } },
+    { $limit: max }
+  );
+  const rows = await Project.aggregate(stages);
+  return rows.map((r) => ({ tag: r._id, count: r.count }));
+}
+
+/** Every category with its project count (zero included). */
+export async function categoryCounts() {
+  const rows = await Project.aggregate([
+    { $match: { category: { $in: PROJECT_CATEGORIES } } },
+    { $group: { _id: '$category', count: { $sum: 1 } } },
+  ]);
+  const counts = new Map(rows.map((r) => [r._id, r.count]));
+  return PROJECT_CATEGORIES.map((category) => ({ category, count: counts.get(category) || 0 }));
+}
@@ -0,0 +1,86 @@
+/**
+ * Mongo-backed rate limiting and login lockout, shared across instances.
+ * Limits can be overridden per limiter with RATE_LIMIT_<NAME>=<max>/<windowSeconds>
+ * (e.g. RATE_LIMIT_LOGIN_IP=20/900) and disabled entirely with RATE_LIMIT_DISABLED=true.
+ */
+
+import RateLimit from '../models/RateLimit.js';
+import User from '../models/User.js';
+
+const LOGIN_MAX_FAILURES = Number(process.env.LOGIN_MAX_FAILURES) || 5;
+const LOGIN_LOCKOUT_MS = (Number(process.env.LOGIN_LOCKOUT_MINUTES) || 15) * 60 * 1000;
+
+export const rateLimitDisabled = process.env.RATE_LIMIT_DISABLED === 'true';
+
+/** Resolve a limiter's { max, windowMs }, applying the RATE_LIMIT_<NAME> override if set. */
+export function resolveLimit(name, defaults) {
+  const override = process.env[`RATE_LIMIT_${name.toUpperCase()}`];
+  if (override) {
+    const [max, windowSeconds] = override.split('/').map(Number);
+    if (max > 0 && windowSeconds > 0) return { max, windowMs: windowSeconds * 1000 };
+  }
+  return defaults;
+}
+
+/**
+ * Count one hit for a key in its current window.
+ * @returns {Promise<{ allowed: boolean, count: number, remaining: number, retryAfter: number }>}
+ */
+export async function consume(key, { max, windowMs }) {
+  const now = new Date();
+  const nextExpiry = new Date(now.getTime() + windowMs);
+  const windowOpen = { $gt: ['$expiresAt', now] };
+  // Single atomic upsert: increment inside the window, otherwise start a new one
+  const update = [
+    {
+      $set: {
+        count: { $cond: [windowOpen, { $add: ['$count', 1] }, 1] },
+        expiresAt: { $cond: [windowOpen, '$expiresAt', nextExpiry] },
+      },
+    },
+  ];
+
+  let doc;
+  try {
+    doc = await RateLimit.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+  } catch (err) {
+    // Two instances created the same key at once; the retry hits the existing document
+    if (err.code !== 11000) throw err;
+    doc = await RateLimit.findOneAndUpdate({ key }, update, { upsert: true, new: true });
+  }
+
+  const retryAfter = Math.max(1, Math.ceil((doc.expiresAt.getTime() - now.getTime()) / 1000));
+  return {
+    allowed: doc.count <= max,
+    count: doc.count,
+    remaining: Math.max(0, max - doc.count),
+    retryAfter,
+  };
+}
+
+/* -------------------- Login lockout -------------------- */
+
+/** Seconds until a locked account can log in again, or 0 if it isn't locked. */
+export function loginLockRemaining(user) {
+  const until = user?.loginLockedUntil ? new Date(user.loginLockedUntil).getTime() : 0;
+  return until > Date.now() ? Math.ceil((until - Date.now()) / 1000) : 0;
+}
+
+/** Record a failed password / 2FA attempt; locks the account after LOGIN_MAX_FAILURES in a row. */
+export async function recordLoginFailure(userId) {
+  const user = await User.findByIdAndUpdate(
+    userId,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true }
+  ).select('failedLoginAttempts');
+  if (user && user.failedLoginAttempts >= LOGIN_MAX_FAILURES) {
+    const lockedUntil = new Date(Date.now() + LOGIN_LOCKOUT_MS);
+    await User.updateOne({ _id: userId }, { $set: { failedLoginAttempts: 0, loginLockedUntil: lockedUntil } });
+    return { locked: true, retryAfter: Math.ceil(LOGIN_LOCKOUT_MS / 1000) };
+  }
+  return { locked: false };
+}
+
+export async function clearLoginFailures(userId) {
+  await User.updateOne({ _id: userId }, { $set: { failedLoginAttempts: 0, loginLockedUntil: null } });
+}
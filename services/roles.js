@@ -0,0 +1,36 @@
+/**
+ * User roles. Roles are ordered: each one includes the permissions of those before it,
+ * so requireRole('moderator') also lets admins through.
+ */
+
+import User from '../models/User.js';
+
+export const ROLES = ['user', 'moderator', 'admin'];
+
+export function hasRole(user, role) {
+  const required = ROLES.indexOf(role);
+  return required >= 0 && ROLES.indexOf(user?.role || 'user') >= required;
+}
+
+/**
+ * Promote ADMIN_BOOTSTRAP_EMAIL to admin if there is no admin yet. Runs at startup, so the
+ * first admin can be created by setting the variable and restarting; once any admin exists
+ * it does nothing, and further roles are managed through PUT /api/admin/users/:id/role.
+ */
+export async function bootstrapAdmin() {
+  const email = process.env.ADMIN_BOOTSTRAP_EMAIL?.toLowerCase().trim();
+  if (!email) return null;
+  if (await User.exists({ role: 'admin' })) return null;
+
+  const user = await User.findOneAndUpdate(
+    { email, emailVerified: true },
+    { $set: { role: 'admin' } },
+    { new: true }
+  ).select('_id email');
+  if (user) {
+    console.log(`Promoted ${user.email} to admin`);
+  } else {
+    console.warn(`ADMIN_BOOTSTRAP_EMAIL: no verified account with email ${email}`);
+  }
+  return user;
+}
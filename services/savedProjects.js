@@ -0,0 +1,328 @@
+/**
+ * Saved projects and named collections of them.
+ * A save is a SavedProject record (listed newest first) mirrored into Project.savedBy, which the
+ * feed uses for savedByMe. Collections hold saved projects in the owner's order: adding a project
+ * to a collection saves it, unsaving removes it from every collection, and removing it from a
+ * collection keeps it saved.
+ * Functions that act for a user return { ok, status, error } like the other services.
+ */
+
+import mongoose from 'mongoose';
+import Project from '../models/Project.js';
+import User from '../models/User.js';
+import SavedProject from '../models/SavedProject.js';
+import ProjectCollection from '../models/ProjectCollection.js';
+import { encodeCursor, decodeCursor, projectItemsByIds, FEED_DEFAULT_LIMIT, FEED_MAX_LIMIT } from './projectFeed.js';
+import { coverOf } from './projectMedia.js';
+import { recordInteractionLater } from './projectAnalytics.js';
+
+export const MAX_COLLECTIONS = 50;
+export const MAX_COLLECTION_ITEMS = 500;
+export const MAX_COLLECTION_NAME_LENGTH = 60;
+export const MAX_COLLECTION_DESCRIPTION_LENGTH = 300;
+
+// Saves aren't edits of the project, so they leave updatedAt alone
+const quiet = { timestamps: false };
+
+const notFound = { ok: false, status: 404, error: 'Collection not found' };
+
+function pageSize(limit) {
+  return Math.min(Math.max(parseInt(limit) || FEED_DEFAULT_LIMIT, 1), FEED_MAX_LIMIT);
+}
+
+/* -------------------- Saves -------------------- */
+
+export async function saveProject(userId, projectId) {
+  const project = mongoose.isValidObjectId(projectId)
+    ? await Project.findByIdAndUpdate(projectId, { $addToSet: { savedBy: userId } }, { new: true, ...quiet })
+        .select('_id userId')
+        .lean()
+    : null;
+  if (!project) return { ok: false, status: 404, error: 'Project not found' };
+  if (await upsertSave(userId, project._id)) recordInteractionLater(project, 'saves', 1);
+  return { ok: true };
+}
+
+// True when the save is new. Two concurrent upserts can both miss and race on the unique index;
+// the loser's E11000 just means the project is already saved.
+async function upsertSave(userId, projectId) {
+  try {
+    const { upsertedCount } = await SavedProject.updateOne(
+      { userId, projectId },
+      { $setOnInsert: { userId, projectId } },
+      { upsert: true }
+    );
+    return upsertedCount > 0;
+  } catch (err) {
+    if (err?.code === 11000) return false;
+    throw err;
+  }
+}
+
+export async function unsaveProject(userId, projectId) {
+  const project = mongoose.isValidObjectId(projectId)
+    ? await Project.findByIdAndUpdate(projectId, { $pull: { savedBy: userId } }, { new: true, ...quiet })
+        .select('_id userId')
+        .lean()
+    : null;
+  if (!project) return { ok: false, status: 404, error: 'Project not found' };
+  const { deletedCount } = await SavedProject.deleteOne({ userId, projectId: project._id });
+  if (deletedCount) recordInteractionLater(project, 'saves', -1);
+  await ProjectCollection.updateMany(
+    { userId, 'items.projectId': project._id },
+    { $pull: { items: { projectId: project._id } } }
+  );
+  return { ok: true };
+}
+
+/** A user's saved projects, most recently saved first. Each item is a feed item plus savedAt. */
+export async function listSaved(userId, { limit, cursor } = {}) {
+  const size = pageSize(limit);
+  const query = { userId };
+  const decoded = decodeCursor(cursor, 'saved');
+  if (decoded && decoded.k.length === 2 && mongoose.isValidObjectId(decoded.k[1])) {
+    const createdAt = new Date(decoded.k[0]);
+    const id = new mongoose.Types.ObjectId(decoded.k[1]);
+    if (!isNaN(createdAt.getTime())) {
+      query.$or = [{ createdAt: { $lt: createdAt } }, { createdAt, _id: { $lt: id } }];
+    }
+  }
+
+  const [saves, total] = await Promise.all([
+    SavedProject.find(query).sort({ createdAt: -1, _id: -1 }).limit(size + 1).lean(),
+    SavedProject.countDocuments({ userId }),
+  ]);
+  const hasMore = saves.length > size;
+  const page = saves.slice(0, size);
+  const last = page[page.length - 1];
+  const nextCursor = hasMore ? encodeCursor({ m: 'saved', k: [last.createdAt.toISOString(), last._id.toString()] }) : null;
+
+  const savedAt = new Map(page.map((s) => [s.projectId.toString(), s.createdAt]));
+  const items = await projectItemsByIds(page.map((s) => s.projectId), userId);
+  return { projects: items.map((p) => ({ ...p, savedAt: savedAt.get(p.id) })), total, nextCursor, hasMore };
+}
+
+/* -------------------- Collections -------------------- */
+
+const isTrue = (value) => value === true || value === 'true' || value === '1';
+
+// Validated name / description / isPublic from a request body; name is required unless `partial`
+async function collectionFields(userId, body, { partial, exceptId } = {}) {
+  const fields = {};
+  if (body.name !== undefined || !partial) {
+    const name = typeof body.name === 'string' ? body.name.trim() : '';
+    if (!name) return { error: 'Collection name required' };
+    if (name.length > MAX_COLLECTION_NAME_LENGTH) {
+      return { error: `Collection names can be at most ${MAX_COLLECTION_NAME_LENGTH} characters` };
+    }
+    const existing = await ProjectCollection.find({ userId, _id: { $ne: exceptId } }).select('name').lean();
+    if (existing.some((c) => c.name.toLowerCase() === name.toLowerCase())) {
+      return { error: 'You already have a collection with that name' };
+    }
+    fields.name = name;
+  }
+  if (body.description !== undefined) {
+    const description = typeof body.description === 'string' ? body.description.trim() : '';
+    if (description.length > MAX_COLLECTION_DESCRIPTION_LENGTH) {
+      return { error: `Descriptions can be at most ${MAX_COLLECTION_DESCRIPTION_LENGTH} characters` };
+    }
+    fields.description = description;
+  }
+  if (body.isPublic !== undefined) fields.isPublic = isTrue(body.isPublic);
+  return { fields };
+}
+
+// Collection summaries; the cover is the cover of the first project in each
+async function formatCollections(collections) {
+  const firstIds = collections.map((c) => c.items?.[0]?.projectId).filter(Boolean);
+  const firsts = firstIds.length ? await Project.find({ _id: { $in: firstIds } }).select('media').lean() : [];
+  const covers = new Map(firsts.map((p) => [p._id.toString(), coverOf(p.media)]));
+  return collections.map((c) => ({
+    id: c._id.toString(),
+    name: c.name,
+    description: c.description || '',
+    isPublic: !!c.isPublic,
+    itemCount: c.items?.length || 0,
+    cover: covers.get(c.items?.[0]?.projectId?.toString()) || null,
+    createdAt: c.createdAt,
+    updatedAt: c.updatedAt,
+  }));
+}
+
+/** A user's collections, newest first; with `publicOnly` just the ones shown on their profile. */
+export async function listCollections(userId, { publicOnly = false } = {}) {
+  const filter = publicOnly ? { userId, isPublic: true } : { userId };
+  const collections = await ProjectCollection.find(filter).sort({ createdAt: -1 }).lean();
+  return formatCollections(collections);
+}
+
+export async function createCollection(userId, body) {
+  if ((await ProjectCollection.countDocuments({ userId })) >= MAX_COLLECTIONS) {
+    return { ok: false, status: 400, error: `You can have at most ${MAX_COLLECTIONS} collections` };
+  }
+  const { fields, error } = await collectionFields(userId, body);
+  if (error) return { ok: false, status: 400, error };
+  const collection = await ProjectCollection.create({ userId, ...fields });
+  return { ok: true, collection: (await formatCollections([collection.toObject()]))[0] };
+}
+
+export async function updateCollection(userId, collectionId, body) {
+  if (!mongoose.isValidObjectId(collectionId)) return notFound;
+  if (!(await ProjectCollection.exists({ _id: collectionId, userId }))) return notFound;
+  const { fields, error } = await collectionFields(userId, body, { partial: true, exceptId: collectionId });
+  if (error) return { ok: false, status: 400, error };
+  const collection = await ProjectCollection.findOneAndUpdate(
+    { _id: collectionId, userId },
+    { $set: fields },
+    { new: true }
+  ).lean();
+  if (!collection) return notFound;
+  return { ok: true, collection: (await formatCollections([collection]))[0] };
+}
+
+/** Delete a collection. The projects in it stay saved. */
+export async function deleteCollection(userId, collectionId) {
+  if (!mongoose.isValidObjectId(collectionId)) return notFound;
+  const { deletedCount } = await ProjectCollection.deleteOne({ _id: collectionId, userId });
+  return deletedCount ? { ok: true } : notFound;
+}
+
+/**
+ * One collection with a page of its projects, in the owner's order. Private collections are only
+ * visible to the owner; so are collections of accounts pending deletion.
+ */
+export async function getCollection(ownerId, collectionId, { viewerId, limit, cursor } = {}) {
+  if (!mongoose.isValidObjectId(ownerId) || !mongoose.isValidObjectId(collectionId)) return notFound;
+  const collection = await ProjectCollection.findOne({ _id: collectionId, userId: ownerId }).lean();
+  if (!collection) return notFound;
+  const isOwner = !!viewerId && collection.userId.equals(viewerId);
+  if (!isOwner) {
+    const owner = await User.findById(collection.userId).select('deletionScheduledFor').lean();
+    if (!collection.isPublic || !owner || owner.deletionScheduledFor) return notFound;
+  }
+
+  // Position-based: a cursor continues from the same index even if the owner reorders meanwhile
+  const size = pageSize(limit);
+  const decoded = decodeCursor(cursor, 'collection');
+  const start =
+    decoded?.c === collection._id.toString() && Number.isInteger(decoded.k[0]) ? Math.max(decoded.k[0], 0) : 0;
+  const slice = collection.items.slice(start, start + size);
+  const hasMore = start + size < collection.items.length;
+  const nextCursor = hasMore ? encodeCursor({ m: 'collection', c: collection._id.toString(), k: [start + size] }) : null;
+
+  const addedAt = new Map(slice.map((i) => [i.projectId.toString(), i.addedAt]));
+  const items = await projectItemsByIds(slice.map((i) => i.projectId), viewerId);
+  const [summary] = await formatCollections([collection]);
+  return {
+    ok: true,
+    collection: summary,
+    projects: items.map((p) => ({ ...p, addedAt: addedAt.get(p.id) })),
+    nextCursor,
+    hasMore,
+  };
+}
+
+/** Add a project to the end of one of your collections (saving it if it isn't saved yet). */
+export async function addToCollection(userId, collectionId, projectId) {
+  if (!mongoose.isValidObjectId(collectionId)) return notFound;
+  const collection = await ProjectCollection.findOne({ _id: collectionId, userId }).select('items').lean();
+  if (!collection) return notFound;
+  const saved = await saveProject(userId, projectId);
+  if (!saved.ok) return saved;
+
+  const pid = new mongoose.Types.ObjectId(String(projectId));
+  if (collection.items.some((i) => i.projectId.equals(pid))) return { ok: true, itemCount: collection.items.length };
+  // The filter keeps the limit (and no duplicates) even when two adds race
+  const updated = await ProjectCollection.findOneAndUpdate(
+    { _id: collectionId, userId, 'items.projectId': { $ne: pid }, [`items.${MAX_COLLECTION_ITEMS - 1}`]: { $exists: false } },
+    { $push: { items: { projectId: pid, addedAt: new Date() } } },
+    { new: true }
+  )
+    .select('items')
+    .lean();
+  if (!updated) {
+    const current = await ProjectCollection.findOne({ _id: collectionId, userId }).select('items').lean();
+    if (!current) return notFound;
+    if (!current.items.some((i) => i.projectId.equals(pid))) {
+      return { ok: false, status: 400, error: `A collection can hold at most ${MAX_COLLECTION_ITEMS} projects` };
+    }
+    return { ok: true, itemCount: current.items.length };
+  }
+  return { ok: true, itemCount: updated.items.length };
+}
+
+/** Take a project out of one of your collections. It stays saved. */
+export async function removeFromCollection(userId, collectionId, projectId) {
+  if (!mongoose.isValidObjectId(collectionId) || !mongoose.isValidObjectId(projectId)) return notFound;
+  const updated = await ProjectCollection.findOneAndUpdate(
+    { _id: collectionId, userId },
+    { $pull: { items: { projectId } } },
+    { new: true }
+  )
+    .select('items')
+    .lean();
+  if (!updated) return notFound;
+  return { ok: true, itemCount: updated.items.length };
+}
+
+/** Rearrange a collection. `projectIds` must list every project in it exactly once, in the new order. */
+export async function reorderCollection(userId, collectionId, projectIds) {
+  if (!mongoose.isValidObjectId(collectionId)) return notFound;
+  if (!Array.isArray(projectIds) || projectIds.some((id) => !mongoose.isValidObjectId(id))) {
+    return { ok: false, status: 400, error: 'projectIds must be a list of project ids' };
+  }
+  const collection = await ProjectCollection.findOne({ _id: collectionId, userId });
+  if (!collection) return notFound;
+
+  const ids = projectIds.map(String);
+  const byId = new Map(collection.items.map((i) => [i.projectId.toString(), i]));
+  if (new Set(ids).size !== ids.length || ids.length !== byId.size || ids.some((id) => !byId.has(id))) {
+    return { ok: false, status: 400, error: 'projectIds must list each project in the collection exactly once' };
+  }
+  collection.items = ids.map((id) => byId.get(id));
+  await collection.save();
+  return { ok: true, projectIds: ids };
+}
+
+/* -------------------- Cleanup -------------------- */
+
+/** Saves of deleted projects, and their places in collections. */
+export async function deleteProjectSaves(projectIds) {
+  await SavedProject.deleteMany({ projectId: { $in: projectIds } });
+  await ProjectCollection.updateMany(
+    { 'items.projectId': { $in: projectIds } },
+    { $pull: { items: { projectId: { $in: projectIds } } } }
+  );
+}
+
+/** A user's saves and collections (Project.savedBy is cleaned up by the caller). */
+export async function purgeUserSaves(userId) {
+  await SavedProject.deleteMany({ userId });
+  await ProjectCollection.deleteMany({ userId });
+}
+
+/**
+ * Create SavedProject records for saves made before they existed (Project.savedBy only).
+ * Their save time is unknown, so the project's creation time stands in. Runs at startup; safe to repeat.
+ */
+export async function backfillSavedProjects() {
+  // Nothing to do once every save has its record
+  const [totals] = await Project.aggregate([
+    { $group: { _id: null, saves: { $sum: { $size: { $ifNull: ['$savedBy', []] } } } } },
+  ]);
+  if ((totals?.saves || 0) <= (await SavedProject.estimatedDocumentCount())) return;
+
+  const projects = Project.find({ 'savedBy.0': { $exists: true } }).select('savedBy createdAt').lean().cursor();
+  for await (const project of projects) {
+    await SavedProject.bulkWrite(
+      project.savedBy.map((userId) => ({
+        updateOne: {
+          filter: { userId, projectId: project._id },
+          update: { $setOnInsert: { userId, projectId: project._id, createdAt: project.createdAt } },
+          upsert: true,
+          timestamps: false,
+        },
+      }))
+    );
+  }
+}
@@ -0,0 +1,188 @@
+/**
+ * Login sessions: short-lived access JWTs plus rotating refresh tokens.
+ * Each login creates a Session document; the access token carries its id (`sid`)
+ * so authenticateToken can reject tokens of revoked sessions.
+ */
+
+import crypto from 'crypto';
+import jwt from 'jsonwebtoken';
+import Session from '../models/Session.js';
+import DeviceToken from '../models/DeviceToken.js';
+import AuthCode from '../models/AuthCode.js';
+
+export const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 30;
+
+export function hashToken(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+}
+
+function generateRefreshToken() {
+  return crypto.randomBytes(48).toString('base64url');
+}
+
+// req.ip honours the app's 'trust proxy' setting, so X-Forwarded-For can't be spoofed past the proxy
+export function getClientIp(req) {
+  return req.ip || req.socket?.remoteAddress || '';
+}
+
+/** Best-effort device platform from a user agent (same values as DeviceToken.platform). */
+export function detectPlatform(userAgent = '') {
+  const ua = userAgent.toLowerCase();
+  if (ua.includes('android')) return 'android';
+  if (/iphone|ipad|ipod|cfnetwork/.test(ua)) return 'ios';
+  if (ua.includes('electron') && ua.includes('windows')) return 'windows';
+  if (ua.includes('electron') && ua.includes('mac os')) return 'mac';
+  return 'web';
+}
+
+export function signAccessToken(userId, sessionId) {
+  return jwt.sign(
+    { userId, sid: sessionId.toString() },
+    process.env.JWT_SECRET,
+    { expiresIn: ACCESS_TOKEN_TTL }
+  );
+}
+
+/**
+ * Start a new session for a user (login, signup, OAuth).
+ * Pass twoFactorVerified when the login already passed a 2FA challenge.
+ * @returns {Promise<{ token: string, refreshToken: string, session: object }>}
+ */
+export async function issueSession(user, req, { twoFactorVerified = false } = {}) {
+  const refreshToken = generateRefreshToken();
+  const userAgent = (req.headers['user-agent'] || '').slice(0, 300);
+  const session = await Session.create({
+    userId: user._id,
+    tokenHash: hashToken(refreshToken),
+    userAgent,
+    ip: getClientIp(req),
+    platform: detectPlatform(userAgent),
+    twoFactorVerifiedAt: twoFactorVerified ? new Date() : null,
+    expiresAt: new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000),
+  });
+  return { token: signAccessToken(user._id, session._id), refreshToken, session };
+}
+
+// Retired refresh tokens kept per session; presenting one of these revokes the session
+const REUSE_DETECTION_HISTORY = 20;
+
+/**
+ * Exchange a refresh token for a new access/refresh pair. The presented token is retired;
+ * presenting a retired token again revokes the whole session (token theft is assumed).
+ * @returns {Promise<{ ok: true, token: string, refreshToken: string, session: object } | { ok: false, reused: boolean }>}
+ */
+export async function rotateRefreshToken(refreshToken, req) {
+  const hash = hashToken(refreshToken);
+  const nextToken = generateRefreshToken();
+  const now = new Date();
+
+  const session = await Session.findOneAndUpdate(
+    { tokenHash: hash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        tokenHash: hashToken(nextToken),
+        lastUsedAt: now,
+        ip: getClientIp(req),
+        userAgent: (req.headers['user-agent'] || '').slice(0, 300),
+      },
+      // Only the most recent retired tokens are remembered for reuse detection
+      $push: { previousTokenHashes: { $each: [hash], $slice: -REUSE_DETECTION_HISTORY } },
+    },
+    { new: true }
+  );
+
+  if (session) {
+    return { ok: true, token: signAccessToken(session.userId, session._id), refreshToken: nextToken, session };
+  }
+
+  const reused = await Session.findOne({ previousTokenHashes: hash, revokedAt: null }).select('userId').lean();
+  if (reused) {
+    await revokeSessions({ _id: reused._id }, 'refresh_token_reuse');
+    console.warn(`Refresh token reuse detected for user ${reused.userId}; session ${reused._id} revoked`);
+  }
+  return { ok: false, reused: !!reused };
+}
+
+// Revoke matching active sessions and unregister the push tokens registered through them
+async function revokeSessions(filter, reason) {
+  const sessions = await Session.find({ ...filter, revokedAt: null }).select('_id').lean();
+  if (!sessions.length) return 0;
+  const ids = sessions.map((s) => s._id);
+  const result = await Session.updateMany(
+    { _id: { $in: ids }, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason } }
+  );
+  await DeviceToken.deleteMany({ sessionId: { $in: ids } });
+  return result.modifiedCount;
+}
+
+/** Revoke the session a refresh token belongs to (logout). Returns false if none matched. */
+export async function revokeSessionByRefreshToken(refreshToken, reason = 'logout') {
+  return (await revokeSessions({ tokenHash: hashToken(refreshToken) }, reason)) > 0;
+}
+
+/** Revoke one session; pass userId to make sure it belongs to that user. */
+export async function revokeSession(sessionId, reason = 'logout', userId = null) {
+  const filter = { _id: sessionId };
+  if (userId) filter.userId = userId;
+  return (await revokeSessions(filter, reason)) > 0;
+}
+
+/** Revoke every active session of a user, optionally keeping one (e.g. the current device). */
+export async function revokeUserSessions(userId, { exceptSessionId, reason = 'logout_all' } = {}) {
+  const filter = { userId };
+  if (exceptSessionId) filter._id = { $ne: exceptSessionId };
+  return revokeSessions(filter, reason);
+}
+
+/** Active sessions of a user, most recently used first. */
+export async function listUserSessions(userId) {
+  return Session.find({ userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('userAgent ip platform lastUsedAt createdAt')
+    .sort({ lastUsedAt: -1 })
+    .lean();
+}
+
+export async function isSessionActive(sessionId) {
+  if (!sessionId) return false;
+  const session = await Session.exists({ _id: sessionId, revokedAt: null, expiresAt: { $gt: new Date() } });
+  return !!session;
+}
+
+export async function markSessionTwoFactorVerified(sessionId) {
+  await Session.updateOne({ _id: sessionId }, { $set: { twoFactorVerifiedAt: new Date() } });
+}
+
+export async function getSessionTwoFactorVerifiedAt(sessionId) {
+  const session = await Session.findById(sessionId).select('twoFactorVerifiedAt').lean();
+  return session?.twoFactorVerifiedAt || null;
+}
+
+/**
+ * Create a single-use code that can later be exchanged for a session (see consumeAuthCode).
+ * @returns {Promise<string>} The plain code; only its hash is stored
+ */
+export async function createAuthCode(userId, purpose, { ttlMs = 60 * 1000, metadata = {} } = {}) {
+  const code = crypto.randomBytes(32).toString('base64url');
+  await AuthCode.create({
+    codeHash: hashToken(code),
+    purpose,
+    userId,
+    metadata,
+    expiresAt: new Date(Date.now() + ttlMs),
+  });
+  return code;
+}
+
+/** Look up a code created by createAuthCode without redeeming it. Returns the document, or null. */
+export async function findAuthCode(code, purpose) {
+  if (!code || typeof code !== 'string') return null;
+  return AuthCode.findOne({ codeHash: hashToken(code), purpose, expiresAt: { $gt: new Date() } }).lean();
+}
+
+/** Redeem a code created by createAuthCode. Returns the deleted code document, or null if invalid / used / expired. */
+export async function consumeAuthCode(code, purpose) {
+  if (!code || typeof code !== 'string') return null;
+  return AuthCode.findOneAndDelete({ codeHash: hashToken(code), purpose, expiresAt: { $gt: new Date() } }).lean();
+}
@@ -27,17 +27,17 @@ if (isValidTwilioConfig) {
   console.warn('⚠️ Twilio not configured (TWILIO_ACCOUNT_SID, TWILIO_AUTH_TOKEN, TWILIO_PHONE_NUMBER). SMS OTP will log to console in dev mode.');
 }
 
-/* -------------------- Send OTP SMS -------------------- */
-export async function sendOtpSms({ toPhone, otp }) {
+/* -------------------- Generic sender -------------------- */
+export async function sendSms({ toPhone, body }) {
   if (!twilioClient) {
-    // In development, log the OTP instead of sending SMS
-    console.log(`[DEV MODE] OTP for ${toPhone}: ${otp}`);
+    // In development, log the message instead of sending SMS
+    console.log(`[DEV MODE] SMS to ${toPhone}: ${body}`);
     return { sent: true };
   }
 
   try {
     await twilioClient.messages.create({
-      body: `Your ProWorkers verification code is: ${otp}. It expires in 10 minutes.`,
+      body,
       from: fromNumber,
       to: toPhone,
     });
@@ -49,6 +49,14 @@ export async function sendOtpSms({ toPhone, otp }) {
   }
 }
 
+/* -------------------- Send OTP SMS -------------------- */
+export async function sendOtpSms({ toPhone, otp }) {
+  return sendSms({
+    toPhone,
+    body: `Your ProWorkers verification code is: ${otp}. It expires in 10 minutes.`,
+  });
+}
+
 /* -------------------- Validate phone number format -------------------- */
 export function validatePhoneNumber(phone) {
   // Remove all non-digit characters
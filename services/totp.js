@@ -0,0 +1,121 @@
+/**
+ * Time-based one-time passwords (RFC 6238) for two-factor authentication.
+ * Compatible with Google Authenticator, Authy, 1Password etc. (SHA-1, 6 digits, 30s step).
+ * Secrets are stored AES-256-GCM encrypted since they must be readable to verify codes.
+ */
+
+import crypto from 'crypto';
+
+const STEP_SECONDS = 30;
+const DIGITS = 6;
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+const ISSUER = process.env.TWO_FACTOR_ISSUER || 'ProWorkers';
+
+function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = '';
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  return output;
+}
+
+function base32Decode(input) {
+  const cleaned = String(input).toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of cleaned) {
+    const idx = BASE32_ALPHABET.indexOf(char);
+    if (idx === -1) throw new Error('Invalid base32 secret');
+    value = (value << 5) | idx;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+}
+
+function hotp(key, counter) {
+  const buf = Buffer.alloc(8);
+  buf.writeBigUInt64BE(BigInt(counter));
+  const hmac = crypto.createHmac('sha1', key).update(buf).digest();
+  const offset = hmac[hmac.length - 1] & 0xf;
+  const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** DIGITS;
+  return String(code).padStart(DIGITS, '0');
+}
+
+/** New random base32 secret (160 bits). */
+export function generateTotpSecret() {
+  return base32Encode(crypto.randomBytes(20));
+}
+
+/** otpauth:// URI for authenticator apps (usually rendered as a QR code by the frontend). */
+export function buildOtpauthUri({ secret, accountName }) {
+  const label = encodeURIComponent(`${ISSUER}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: ISSUER,
+    algorithm: 'SHA1',
+    digits: String(DIGITS),
+    period: String(STEP_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+}
+
+/**
+ * Check a code against a secret, allowing one step of clock drift either way.
+ * @returns {number|null} The matched time step (store it to reject replays), or null
+ */
+export function verifyTotp(secret, code, { afterStep = -1 } = {}) {
+  const normalized = String(code || '').replace(/\s/g, '');
+  if (!/^\d{6}$/.test(normalized)) return null;
+  const key = base32Decode(secret);
+  const current = Math.floor(Date.now() / 1000 / STEP_SECONDS);
+  for (const step of [current - 1, current, current + 1]) {
+    if (step <= afterStep) continue;
+    const expected = Buffer.from(hotp(key, step));
+    if (crypto.timingSafeEqual(expected, Buffer.from(normalized))) return step;
+  }
+  return null;
+}
+
+function encryptionKey() {
+  const source = process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || '';
+  return crypto.createHash('sha256').update(source).digest();
+}
+
+export function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv('aes-256-gcm', encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, 'utf8'), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted].map((b) => b.toString('base64')).join('.');
+}
+
+export function decryptSecret(payload) {
+  const [iv, tag, encrypted] = String(payload).split('.').map((p) => Buffer.from(p, 'base64'));
+  const decipher = crypto.createDecipheriv('aes-256-gcm', encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString('utf8');
+}
+
+/** Ten single-use backup codes in xxxx-xxxx form. */
+export function generateBackupCodes(count = 10) {
+  return Array.from({ length: count }, () => {
+    const hex = crypto.randomBytes(4).toString('hex');
+    return `${hex.slice(0, 4)}-${hex.slice(4)}`;
+  });
+}
+
+export function normalizeBackupCode(code) {
+  return String(code || '').toLowerCase().replace(/[^a-f0-9]/g, '');
+}
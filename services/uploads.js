@@ -0,0 +1,102 @@
+/**
+ * File uploads: multer writes them to uploads/ as temp files, which are then sent to Cloudinary and removed.
+ * Used by server.js (media, profile photos, new projects) and routes/projects.js (project edits).
+ */
+
+import multer from 'multer';
+import path from 'path';
+import fs from 'fs';
+import { fileURLToPath } from 'url';
+import { v4 as uuidv4 } from 'uuid';
+import cloudinary, { destroyMedia } from '../cloudinary.js';
+import { mediaFromUpload } from './projectMedia.js';
+
+const __dirname = path.dirname(fileURLToPath(import.meta.url));
+
+// Ensure uploads directory exists
+const UPLOADS_DIR = path.join(__dirname, '..', 'uploads');
+if (!fs.existsSync(UPLOADS_DIR)) {
+  fs.mkdirSync(UPLOADS_DIR, { recursive: true });
+}
+
+// Multer config for file uploads
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    cb(null, UPLOADS_DIR);
+  },
+  filename: (req, file, cb) => {
+    const ext = path.extname(file.originalname) || getExtensionFromMimetype(file.mimetype);
+    const filename = `${uuidv4()}${ext}`;
+    cb(null, filename);
+  },
+});
+
+function getExtensionFromMimetype(mimetype) {
+  const map = {
+    'image/jpeg': '.jpg',
+    'image/png': '.png',
+    'image/webp': '.webp',
+    'video/mp4': '.mp4',
+    'video/webm': '.webm',
+  };
+  return map[mimetype] || '.bin';
+}
+
+export const upload = multer({
+  storage,
+  limits: { fileSize: 50 * 1024 * 1024 }, // 50MB
+  fileFilter: (req, file, cb) => {
+    const allowed = ['image/jpeg', 'image/png', 'image/webp', 'video/mp4', 'video/webm'];
+    if (allowed.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Allowed: JPEG, PNG, WebP, MP4, WebM'));
+    }
+  },
+});
+
+// Send a temp file to Cloudinary and remove it. Returns the upload result, or null on failure.
+export const uploadOnCloudinary = async (localFilePath) => {
+  try {
+    const result = await cloudinary.uploader.upload(localFilePath, {
+      resource_type: 'auto',
+    });
+    fs.unlinkSync(localFilePath);
+    return result;
+  } catch (err) {
+    if (fs.existsSync(localFilePath)) fs.unlinkSync(localFilePath);
+    return null;
+  }
+};
+
+// Remove multer temp files that were never sent to Cloudinary
+export function discardUploads(files = []) {
+  for (const file of files) {
+    if (fs.existsSync(file.path)) fs.unlinkSync(file.path);
+  }
+}
+
+// Multer errors (too many files, file too large, wrong type) as 400s rather than Express' default error page
+export const acceptUploads = (middleware) => (req, res, next) =>
+  middleware(req, res, (err) => (err ? res.status(400).json({ error: err.message }) : next()));
+
+// Upload files in order. Returns the gallery items, or null after undoing a partial upload.
+export async function uploadGallery(files, meta) {
+  const items = [];
+  for (const [i, file] of files.entries()) {
+    const result = await uploadOnCloudinary(file.path);
+    if (!result) {
+      discardUploads(files);
+      await Promise.all(items.map((m) => destroyMedia({ url: m.url })));
+      return null;
+    }
+    items.push(mediaFromUpload(result, meta[i]));
+  }
+  return items;
+}
+
+// "new:<i>" refers to the i-th file of the current upload
+export const newFileIndex = (ref) => {
+  const match = typeof ref === 'string' && ref.match(/^new:(\d+)$/);
+  return match ? Number(match[1]) : null;
+};
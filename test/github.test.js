@@ -0,0 +1,189 @@
+// GET /api/github/repos and POST /api/github/import against a stubbed GitHub API.
+// No MongoDB is needed: the model calls the routes and auth middleware make are mocked per test.
+import { test, before, after, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import express from 'express';
+import jwt from 'jsonwebtoken';
+import mongoose from 'mongoose';
+
+process.env.JWT_SECRET = 'test-secret';
+process.env.RATE_LIMIT_DISABLED = 'true';
+
+const { default: githubRoutes } = await import('../routes/github.js');
+const { createGitHubClient, setGitHubClient } = await import('../services/github.js');
+const { default: User } = await import('../models/User.js');
+const { default: Project } = await import('../models/Project.js');
+const { default: UserCard } = await import('../models/UserCard.js');
+const { default: Session } = await import('../models/Session.js');
+
+const OWNER_ID = 4242;
+const user = {
+  _id: new mongoose.Types.ObjectId(),
+  name: 'Octo Cat',
+  username: 'octo',
+  githubId: String(OWNER_ID),
+  githubUsername: 'octocat',
+};
+
+const repo = (id, fields = {}) => ({
+  id,
+  name: `repo-${id}`,
+  full_name: `octocat/repo-${id}`,
+  description: `Repository ${id}`,
+  html_url: `https://github.com/octocat/repo-${id}`,
+  homepage: '',
+  language: 'JavaScript',
+  stargazers_count: id,
+  private: false,
+  owner: { id: OWNER_ID },
+  pushed_at: '2026-01-01T00:00:00Z',
+  ...fields,
+});
+
+const REPOS = {
+  1: repo(1, { homepage: 'https://repo-1.example.com' }),
+  2: repo(2, { homepage: 'javascript:alert(1)' }),
+  3: repo(3, { private: true }),
+  4: repo(4, { owner: { id: 1 } }),
+};
+
+// Answers the GitHub REST paths the client uses from REPOS; records every requested path
+let requested = [];
+let githubStatus = 200;
+async function fakeFetch(url) {
+  const { pathname } = new URL(url);
+  requested.push(pathname);
+  const json = (status, body) => ({ status, ok: status < 400, json: async () => body });
+  if (githubStatus !== 200) return json(githubStatus, { message: 'error' });
+  if (pathname === `/users/${user.githubUsername}/repos`) return json(200, Object.values(REPOS));
+  const match = pathname.match(/^\/repositories\/(\d+)$/);
+  if (match && REPOS[match[1]]) return json(200, REPOS[match[1]]);
+  return json(404, { message: 'Not Found' });
+}
+
+// A stand-in for a mongoose query: chainable, and awaitable to `value`
+const query = (value) => {
+  const q = {
+    select: () => q,
+    lean: () => q,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return q;
+};
+
+let server;
+let baseUrl;
+let created;
+let importedRepoIds;
+
+before(async () => {
+  const app = express();
+  app.use(express.json());
+  app.use('/api/github', githubRoutes);
+  server = app.listen(0);
+  await new Promise((resolve) => server.once('listening', resolve));
+  baseUrl = `http://127.0.0.1:${server.address().port}/api/github`;
+});
+
+after(() => new Promise((resolve) => server.close(resolve)));
+
+beforeEach(() => {
+  mock.restoreAll();
+  requested = [];
+  githubStatus = 200;
+  created = [];
+  importedRepoIds = [];
+  setGitHubClient(createGitHubClient({ baseUrl: 'https://github.test', fetch: fakeFetch }));
+
+  mock.method(Session, 'exists', async () => ({ _id: 'session' }));
+  mock.method(User, 'findById', () => query(user));
+  mock.method(UserCard, 'findOne', () => query(null));
+  mock.method(Project, 'find', () => query(importedRepoIds.map((githubRepoId) => ({ githubRepoId }))));
+  mock.method(Project, 'exists', async (filter) =>
+    importedRepoIds.includes(filter.githubRepoId) ? { _id: new mongoose.Types.ObjectId() } : null
+  );
+  mock.method(Project, 'updateMany', async () => ({ modifiedCount: 0 }));
+  mock.method(Project, 'create', async (doc) => {
+    const project = { _id: new mongoose.Types.ObjectId(), createdAt: new Date(), ...doc };
+    created.push(project);
+    return project;
+  });
+});
+
+function call(method, path, body, who = user) {
+  const token = jwt.sign({ userId: who._id.toString(), sid: 'session' }, process.env.JWT_SECRET);
+  return fetch(`${baseUrl}${path}`, {
+    method,
+    headers: { Authorization: `Bearer ${token}`, 'Content-Type': 'application/json' },
+    body: body && JSON.stringify(body),
+  });
+}
+
+test('GET /repos lists the linked account\'s repositories and flags imported ones', async () => {
+  importedRepoIds = [2];
+  const res = await call('GET', '/repos');
+  assert.equal(res.status, 200);
+  const { repos, page, hasMore } = await res.json();
+
+  assert.deepEqual(requested, [`/users/${user.githubUsername}/repos`]);
+  assert.equal(page, 1);
+  assert.equal(hasMore, false);
+  assert.deepEqual(
+    repos.map((r) => [r.id, r.imported]),
+    [
+      [1, false],
+      [2, true],
+      [3, false],
+      [4, false],
+    ]
+  );
+  assert.equal(repos[0].htmlUrl, REPOS[1].html_url);
+  assert.equal(repos[0].ownerId, String(OWNER_ID));
+});
+
+test('GET /repos needs a linked GitHub account', async () => {
+  const unlinked = { ...user, githubId: null, githubUsername: null };
+  User.findById.mock.mockImplementation(() => query(unlinked));
+  const res = await call('GET', '/repos', undefined, unlinked);
+  assert.equal(res.status, 400);
+  assert.equal(requested.length, 0);
+});
+
+test('GET /repos reports a GitHub rate limit as 429', async () => {
+  githubStatus = 403;
+  const res = await call('GET', '/repos');
+  assert.equal(res.status, 429);
+});
+
+test('POST /import creates projects from public repositories of the linked account only', async () => {
+  importedRepoIds = [5];
+  const res = await call('POST', '/import', {
+    repos: [{ id: 1, title: 'My app' }, { id: 2 }, { id: 3 }, { id: 4 }, { id: 5 }, { id: 99 }, { id: 'x' }],
+  });
+  assert.equal(res.status, 201);
+  const { imported, skipped } = await res.json();
+
+  assert.deepEqual(
+    imported.map((p) => [p.githubRepoId, p.title, p.liveDemoUrl, p.codeUrl]),
+    [
+      [1, 'My app', 'https://repo-1.example.com', REPOS[1].html_url],
+      // A homepage that isn't http(s) is dropped
+      [2, 'repo-2', '', REPOS[2].html_url],
+    ]
+  );
+  assert.deepEqual(skipped, [
+    { id: 3, reason: 'not_found' },
+    { id: 4, reason: 'not_found' },
+    { id: 5, reason: 'already_imported' },
+    { id: 99, reason: 'not_found' },
+    { id: 'x', reason: 'invalid_id' },
+  ]);
+  assert.equal(created.length, 2);
+  assert.ok(created.every((p) => p.userId === user._id && p.authorUsername === user.username));
+});
+
+test('POST /import rejects an empty selection', async () => {
+  const res = await call('POST', '/import', { repos: [] });
+  assert.equal(res.status, 400);
+  assert.equal(requested.length, 0);
+});
@@ -0,0 +1,37 @@
+// services/otp.js issueOtp. No MongoDB is needed: the OtpCode calls are mocked per test.
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+
+const { issueOtp } = await import('../services/otp.js');
+const { default: OtpCode } = await import('../models/OtpCode.js');
+
+const request = { identifier: 'ada@example.com', purpose: 'signup', channel: 'email' };
+
+beforeEach(() => {
+  mock.restoreAll();
+  mock.method(OtpCode, 'findOne', async () => null);
+});
+
+test('issueOtp returns a new code', async () => {
+  mock.method(OtpCode, 'findOneAndUpdate', async () => ({}));
+  const result = await issueOtp(request);
+  assert.equal(result.ok, true);
+  assert.match(result.otp, /^\d{6}$/);
+});
+
+test('issueOtp reports losing a concurrent first issue as the resend cooldown', async () => {
+  mock.method(OtpCode, 'findOneAndUpdate', async () => {
+    throw Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+  });
+  const result = await issueOtp(request);
+  assert.equal(result.ok, false);
+  assert.equal(result.status, 429);
+  assert.equal(result.retryAfter, 60);
+});
+
+test('issueOtp passes other database errors on', async () => {
+  mock.method(OtpCode, 'findOneAndUpdate', async () => {
+    throw new Error('connection lost');
+  });
+  await assert.rejects(issueOtp(request), /connection lost/);
+});
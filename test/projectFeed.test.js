@@ -0,0 +1,86 @@
+// services/projectFeed.js feed and search filters. No MongoDB is needed: the model calls are mocked per test.
+import { test, beforeEach, mock } from 'node:test';
+import assert from 'node:assert/strict';
+import mongoose from 'mongoose';
+
+const { listProjects, searchProjects } = await import('../services/projectFeed.js');
+const { default: User } = await import('../models/User.js');
+const { default: Project } = await import('../models/Project.js');
+
+// A stand-in for a mongoose query: chainable, and awaitable to `value`
+const query = (value) => {
+  const q = {
+    select: () => q,
+    sort: () => q,
+    limit: () => q,
+    lean: () => q,
+    then: (resolve, reject) => Promise.resolve(value).then(resolve, reject),
+  };
+  return q;
+};
+
+const users = new Map();
+let pendingDeletion;
+let pipelines;
+let finds;
+
+beforeEach(() => {
+  mock.restoreAll();
+  users.clear();
+  pendingDeletion = [];
+  pipelines = [];
+  finds = [];
+  mock.method(User, 'findOne', (filter) => query(users.get(filter.username) || null));
+  mock.method(User, 'distinct', async () => pendingDeletion);
+  mock.method(Project, 'find', (filter) => {
+    finds.push(filter);
+    return query([]);
+  });
+  mock.method(Project, 'aggregate', async (stages) => {
+    pipelines.push(stages);
+    return [];
+  });
+  mock.method(Project, 'populate', async (docs) => docs);
+});
+
+const matchedUserId = () => pipelines[0][0].$match.userId?.toString();
+
+test('search by author resolves a 12-character username rather than treating it as an id', async () => {
+  const id = new mongoose.Types.ObjectId();
+  users.set('twelve_chars', { _id: id });
+
+  const result = await searchProjects({ q: 'app', author: 'twelve_chars' });
+  assert.deepEqual(result, { projects: [], nextCursor: null, hasMore: false });
+  assert.equal(matchedUserId(), id.toString());
+});
+
+test('search by author takes a 24-digit hex value as a user id', async () => {
+  const id = new mongoose.Types.ObjectId().toString();
+  await searchProjects({ q: 'app', author: id });
+  assert.equal(matchedUserId(), id);
+});
+
+test('search by an unknown author returns nothing without searching', async () => {
+  const result = await searchProjects({ q: 'app', author: 'nobody_here1' });
+  assert.deepEqual(result, { projects: [], nextCursor: null, hasMore: false });
+  assert.equal(pipelines.length, 0);
+});
+
+test('the feed leaves out projects of accounts scheduled for deletion', async () => {
+  const owner = new mongoose.Types.ObjectId();
+  pendingDeletion = [owner];
+  await listProjects({});
+  assert.deepEqual(finds[0].userId, { $nin: [owner] });
+});
+
+test('search leaves out projects of accounts scheduled for deletion', async () => {
+  const owner = new mongoose.Types.ObjectId();
+  pendingDeletion = [owner];
+  await searchProjects({ q: 'app' });
+  assert.deepEqual(pipelines[0][0].$match.userId, { $nin: [owner] });
+
+  users.set('leaving', { _id: owner });
+  const result = await searchProjects({ q: 'app', author: 'leaving' });
+  assert.deepEqual(result, { projects: [], nextCursor: null, hasMore: false });
+  assert.equal(pipelines.length, 1);
+});